@@ -3,16 +3,22 @@
  * 
  * This script loads Jenkins build status badges from static files synced by cron,
  * but checks if they're stale and displays an "Out-of-sync" badge if needed.
- * - Main branch badges: considered stale after 7 days
- * - Devel branch badges: considered stale after 1 day
- * - Nightly benchmark badges: considered stale after 1 day
+ * The badge cards and their staleness thresholds (`staleAfterHours` of each
+ * badge group, e.g. 7 days for main and 1 day for devel and nightly) come
+ * from dashboard.config.json, see dashboard_layout.js. Below each Jenkins
+ * badge, a strip of the job's last builds (badges/jenkins_history.json,
+ * written by scripts/fetch_jenkins_history.js) tells a one-off failure from
+ * a broken branch; hovering a build shows its time, duration and test counts.
  */
 
-// Configuration for staleness thresholds (in milliseconds)
-const STALENESS_CONFIG = {
-    'main': 7 * 24 * 60 * 60 * 1000,  // 7 days
-    'devel': 1 * 24 * 60 * 60 * 1000,  // 1 day
-    'nightly': 1 * 24 * 60 * 60 * 1000  // 1 day
+// Jenkins build results -> CSS class of their square in the history strip
+const JENKINS_RESULT_CLASSES = {
+    SUCCESS: 'build-success',
+    UNSTABLE: 'build-unstable',
+    FAILURE: 'build-failure',
+    ABORTED: 'build-aborted',
+    NOT_BUILT: 'build-aborted',
+    BUILDING: 'build-running'
 };
 
 /**
@@ -89,15 +95,13 @@ async function fetchLastSyncTimestamp() {
 }
 
 /**
- * Determine badge type from badge filename
- * @param {string} badgeSrc - Badge source path
- * @returns {string} - 'main', 'devel', or 'nightly'
+ * Staleness threshold of a badge, from its card's staleAfterHours
+ * @param {HTMLImageElement} img - The image element
+ * @returns {number} - Threshold in milliseconds
  */
-function getBadgeType(badgeSrc) {
-    if (badgeSrc.includes('_main.svg')) return 'main';
-    if (badgeSrc.includes('_devel.svg')) return 'devel';
-    if (badgeSrc.includes('nightly')) return 'nightly';
-    return 'main'; // Default to main's longer threshold
+function getBadgeStalenessThreshold(img) {
+    const hours = parseFloat(img.dataset.staleAfterHours) || DEFAULT_STALE_AFTER_HOURS;
+    return hours * 60 * 60 * 1000;
 }
 
 /**
@@ -130,16 +134,16 @@ async function checkAndUpdateBadges(lastSyncTime) {
     console.log(`Badge age: ${ageDays} days`);
     
     badgeImages.forEach(img => {
-        const badgeType = getBadgeType(img.src);
-        const stalenessThreshold = STALENESS_CONFIG[badgeType];
+        const stalenessThreshold = getBadgeStalenessThreshold(img);
+        const thresholdHours = stalenessThreshold / (60 * 60 * 1000);
         
         if (ageMs > stalenessThreshold) {
             const label = getBadgeLabel(img);
-            console.log(`Badge is stale: ${label} (${badgeType}, age: ${ageDays} days)`);
+            console.log(`Badge is stale: ${label} (threshold ${thresholdHours}h, age: ${ageDays} days)`);
             img.src = createOutOfSyncBadge(label);
             img.title = `Last updated: ${Math.floor(ageMs / (24 * 60 * 60 * 1000))} days ago`;
         } else {
-            console.log(`Badge is fresh: ${img.alt} (${badgeType})`);
+            console.log(`Badge is fresh: ${img.alt} (threshold ${thresholdHours}h)`);
             // Add a cache-busting parameter to ensure fresh load
             const originalSrc = img.src.split('?')[0];
             img.src = `${originalSrc}?t=${lastSyncTime}`;
@@ -147,12 +151,113 @@ async function checkAndUpdateBadges(lastSyncTime) {
     });
 }
 
+/**
+ * Describe the regression-check badge with the summary of regressions.json
+ */
+async function describePerfBadge() {
+    const img = document.querySelector('img[src*="badges/nightly_perf.svg"]');
+    if (!img || img.title) return; // Missing, or already titled as out-of-sync
+
+    try {
+        const response = await fetch('regressions.json', { cache: 'no-cache' });
+        if (!response.ok) return;
+        const report = await response.json();
+        const { benchmarks, regressed } = report.summary;
+        img.title = `${regressed} of ${benchmarks} benchmarks regressed vs. the preceding ${report.baseline_window} benchmarked days (checked ${report.generated})`;
+    } catch (error) {
+        console.warn('Could not load regressions.json:', error);
+    }
+}
+
+/**
+ * Age of a build as "12m" within the first hour, else "5h" or "3d"
+ */
+function formatBuildAge(timestamp) {
+    const ageMs = Date.now() - Date.parse(timestamp);
+    return ageMs < 60 * 60 * 1000 ? formatDuration(ageMs) : formatAge(timestamp);
+}
+
+/**
+ * Hover text of one build
+ * @param {Object} build - { number, result, timestamp, duration, tests }, timestamp null when unknown
+ */
+function describeJenkinsBuild(build) {
+    const parts = [`#${build.number} ${build.result.toLowerCase()}`];
+    if (build.timestamp) parts.push(`started ${formatBuildAge(build.timestamp)} ago`);
+    if (build.result === 'BUILDING') return parts.join(', ');
+
+    parts.push(`took ${formatDuration(build.duration)}`);
+    if (build.tests) {
+        parts.push(build.tests.failed > 0
+            ? `${build.tests.failed} of ${build.tests.total} tests failed`
+            : `${build.tests.total - build.tests.skipped} tests passed`);
+        if (build.tests.skipped > 0) parts.push(`${build.tests.skipped} skipped`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Number of consecutive failed or unstable builds up to the latest finished one
+ * @param {Object[]} builds - Builds, newest first
+ */
+function countFailingStreak(builds) {
+    const finished = builds.filter(build => build.result !== 'BUILDING');
+    const index = finished.findIndex(build => build.result !== 'FAILURE' && build.result !== 'UNSTABLE');
+    return index === -1 ? finished.length : index;
+}
+
+/**
+ * Draw the build history strip and the last build's age and duration under each Jenkins badge
+ */
+async function renderBadgeHistory() {
+    const containers = document.querySelectorAll('.badge-history[data-badge-id]');
+    if (containers.length === 0) return;
+
+    let history;
+    try {
+        const response = await fetch('badges/jenkins_history.json', { cache: 'no-cache' });
+        if (!response.ok) {
+            console.log('No Jenkins build history found');
+            return;
+        }
+        history = await response.json();
+    } catch (error) {
+        console.warn('Could not load jenkins_history.json:', error);
+        return;
+    }
+
+    containers.forEach(container => {
+        const job = history.jobs[container.dataset.badgeId];
+        if (!job || job.builds.length === 0) return;
+
+        // Builds are stored newest first; the strip reads left to right, oldest first
+        const [last] = job.builds;
+        const squares = [...job.builds].reverse().map(build => html`
+            <a class="build-square ${JENKINS_RESULT_CLASSES[build.result] || 'build-unknown'}" href="${safeURL(build.url || job.url)}"
+                target="_blank" title="${describeJenkinsBuild(build)}"></a>`);
+        const streak = countFailingStreak(job.builds);
+        let summary;
+        if (last.result === 'BUILDING') {
+            summary = `Building #${last.number}${last.timestamp ? `, started ${formatBuildAge(last.timestamp)} ago` : ''}`;
+        } else {
+            const when = last.timestamp ? `${formatBuildAge(last.timestamp)} ago` : `#${last.number}`;
+            summary = `Last build ${when}, took ${formatDuration(last.duration)}`;
+        }
+
+        container.innerHTML = html`
+            <div class="build-strip">${squares}</div>
+            <div class="build-summary">${summary}${streak > 1 && html`, <span class="build-streak">failing for ${streak} builds</span>`}</div>
+        `;
+    });
+}
+
 /**
  * Load all badges with staleness checking
  */
 async function loadAllBadges() {
     console.log('Loading Jenkins badges with staleness detection...');
     
+    await renderDashboardLayout();
     const lastSyncTime = await fetchLastSyncTimestamp();
     
     if (lastSyncTime) {
@@ -161,6 +266,8 @@ async function loadAllBadges() {
     }
     
     await checkAndUpdateBadges(lastSyncTime);
+    await describePerfBadge();
+    await renderBadgeHistory();
     console.log('Badge loading complete');
 }
 
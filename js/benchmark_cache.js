@@ -0,0 +1,177 @@
+/**
+ * Browser-side Cache of Benchmark Profiles
+ *
+ * Fetched profiles.json files are kept in IndexedDB, keyed by their manifest
+ * path plus the mtime (or content hash) the sync script recorded for them, so
+ * later visits only download new or changed files. Without IndexedDB (private
+ * windows, old browsers) everything is simply fetched as before.
+ */
+
+const BENCHMARK_CACHE_CONFIG = {
+    dbName: 'specfempp-dashboard',
+    storeName: 'benchmark-profiles',
+    version: 1
+};
+
+// Shared database connection (null when IndexedDB is unavailable)
+let benchmarkCacheDbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create on first use) the profile cache database
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openBenchmarkCache() {
+    if (benchmarkCacheDbPromise) return benchmarkCacheDbPromise;
+
+    benchmarkCacheDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        const request = indexedDB.open(BENCHMARK_CACHE_CONFIG.dbName, BENCHMARK_CACHE_CONFIG.version);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(BENCHMARK_CACHE_CONFIG.storeName, { keyPath: 'path' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('Benchmark cache unavailable, fetching all profiles:', request.error);
+            resolve(null);
+        };
+    });
+    return benchmarkCacheDbPromise;
+}
+
+/**
+ * Normalize a manifest entry
+ *
+ * Manifests list either plain paths (older sync script) or objects with the
+ * file's mtime and/or content hash. Plain paths have no version and are never
+ * served from the cache.
+ *
+ * @param {string|Object} entry - "./benchmarks/..." or { path, mtime, hash }
+ * @returns {{path: string, version: string|null}}
+ */
+function normalizeManifestEntry(entry) {
+    if (typeof entry === 'string') return { path: entry, version: null };
+    const version = entry.hash || (entry.mtime !== undefined ? String(entry.mtime) : null);
+    return { path: entry.path, version };
+}
+
+/**
+ * Load profiles, reading unchanged files from the cache and fetching the rest
+ * @param {Array<string|Object>} entries - Manifest entries
+ * @param {Function} onProgress - Called as ({ done, total, cached }) while loading
+ * @param {boolean} pruneUnlisted - Drop cached files missing from `entries` (only when they are complete manifests)
+ * @returns {Promise<Array<Object|null>>} - Profiles in manifest order, null for failed files
+ */
+async function loadBenchmarkProfiles(entries, onProgress = () => {}, pruneUnlisted = true) {
+    const files = entries.map(normalizeManifestEntry);
+    const db = await openBenchmarkCache();
+    const progress = { done: 0, total: files.length, cached: 0 };
+
+    // Read every cached record in one transaction
+    let cachedRecords = [];
+    if (db) {
+        try {
+            const store = db.transaction(BENCHMARK_CACHE_CONFIG.storeName).objectStore(BENCHMARK_CACHE_CONFIG.storeName);
+            cachedRecords = await idbRequest(store.getAll());
+        } catch (error) {
+            console.warn('Failed to read benchmark cache:', error);
+        }
+    }
+    const cachedByPath = new Map(cachedRecords.map(record => [record.path, record]));
+
+    const results = new Array(files.length).fill(null);
+    const fetched = [];
+    const missing = [];
+    files.forEach((file, idx) => {
+        const record = cachedByPath.get(file.path);
+        if (file.version !== null && record && record.version === file.version) {
+            results[idx] = record.data;
+            progress.done++;
+            progress.cached++;
+        } else {
+            missing.push(idx);
+        }
+    });
+    onProgress({ ...progress });
+
+    await Promise.all(missing.map(async idx => {
+        const file = files[idx];
+        const { data, stage, reason } = await fetchJSONResult(file.path);
+        if (data === null) recordBenchmarkFailure(file.path, stage, reason);
+        results[idx] = data;
+        if (data !== null && file.version !== null) {
+            fetched.push({ path: file.path, version: file.version, data });
+        }
+        progress.done++;
+        onProgress({ ...progress });
+    }));
+
+    console.log(`Benchmark cache: ${progress.cached} of ${files.length} profiles from cache, ${missing.length} fetched`);
+
+    if (db) {
+        await updateBenchmarkCache(db, fetched, pruneUnlisted ? new Set(files.map(file => file.path)) : null);
+    }
+    return results;
+}
+
+/**
+ * Store newly fetched profiles and drop files no longer listed in any manifest
+ * @param {IDBDatabase} db - Cache database
+ * @param {Object[]} records - { path, version, data } to store
+ * @param {Set<string>|null} listedPaths - Paths of all current manifest entries, null to keep everything
+ */
+async function updateBenchmarkCache(db, records, listedPaths) {
+    try {
+        const transaction = db.transaction(BENCHMARK_CACHE_CONFIG.storeName, 'readwrite');
+        const store = transaction.objectStore(BENCHMARK_CACHE_CONFIG.storeName);
+        records.forEach(record => store.put(record));
+
+        if (listedPaths) {
+            const cachedPaths = await idbRequest(store.getAllKeys());
+            cachedPaths
+                .filter(path => !listedPaths.has(path))
+                .forEach(path => store.delete(path));
+        }
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        // A full quota only costs the next visit some downloads
+        console.warn('Failed to update benchmark cache:', error);
+    }
+}
+
+/**
+ * Number of profiles currently cached
+ */
+async function countCachedProfiles() {
+    const db = await openBenchmarkCache();
+    if (!db) return 0;
+    const store = db.transaction(BENCHMARK_CACHE_CONFIG.storeName).objectStore(BENCHMARK_CACHE_CONFIG.storeName);
+    return idbRequest(store.count());
+}
+
+/**
+ * Remove every cached profile
+ */
+async function clearBenchmarkCache() {
+    const db = await openBenchmarkCache();
+    if (!db) return;
+    const store = db.transaction(BENCHMARK_CACHE_CONFIG.storeName, 'readwrite').objectStore(BENCHMARK_CACHE_CONFIG.storeName);
+    await idbRequest(store.clear());
+    console.log('Benchmark cache cleared');
+}
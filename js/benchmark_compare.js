@@ -0,0 +1,349 @@
+/**
+ * Side-by-side Comparison of Two Benchmark Runs
+ *
+ * Lets reviewers pick two runs of the same benchmark (by date or by commit)
+ * and shows per-region times for both, the absolute and relative deltas,
+ * a waterfall chart of where the time moved and a GitHub compare link.
+ * Both runs come from one machine, chosen in the panel, and runs of
+ * different machines are never averaged together.
+ * The selection lives in the URL hash (cmp* keys), so a comparison can be
+ * linked, e.g. from the perf column of the PR matrix.
+ */
+
+// Current selection of the comparison panel
+const compareState = {
+    benchmark: null,   // Prefixed benchmark name, e.g. "GPU_elastic_wave"
+    compareBy: 'date', // 'date' or 'commit'
+    hardware: null,    // Hardware fingerprint of the compared runs (null = machine of the newest run)
+    runA: null,        // Run key (date string or commit hash)
+    runB: null
+};
+
+// Benchmark groups the panel was last rendered with
+let compareBenchmarkGroups = {};
+
+/**
+ * Apply the cmp* keys of the URL state (missing keys mean defaults)
+ */
+function applyCompareUrlState(state) {
+    compareState.benchmark = state.cmp || null;
+    compareState.compareBy = state.cmpby === 'commit' ? 'commit' : 'date';
+    compareState.hardware = state.cmphw || null;
+    compareState.runA = state.cmpa || null;
+    compareState.runB = state.cmpb || null;
+}
+
+/**
+ * Write the selection to the URL hash, leaving defaults out
+ */
+function writeCompareUrlState() {
+    setUrlState({
+        cmp: compareState.benchmark,
+        cmpby: compareState.compareBy !== 'date' ? compareState.compareBy : null,
+        cmphw: compareState.hardware,
+        cmpa: compareState.runA,
+        cmpb: compareState.runB
+    });
+}
+
+/**
+ * Collapse benchmark files into comparable runs
+ *
+ * Runs on the same date (or the same commit) are averaged the same way the
+ * plots average measurements of a single day, so the files must come from
+ * one machine (see splitFilesByHardware).
+ *
+ * @param {Object[]} files - Benchmark profiles of one benchmark on one machine
+ * @param {string} compareBy - 'date' or 'commit'
+ * @returns {Object[]} - Runs sorted oldest first: { key, label, date, commits, total, regions, count }
+ */
+function buildComparisonRuns(files, compareBy) {
+    const runs = {};
+
+    const sortedFiles = [...files].sort((a, b) =>
+        parseTimestamp(a.metadata.timestamp) - parseTimestamp(b.metadata.timestamp));
+
+    for (const data of sortedFiles) {
+        const timestamp = parseTimestamp(data.metadata.timestamp);
+        const dateStr = timestamp.toISOString().split('T')[0];
+        const hash = data.metadata.git_commit?.hash || null;
+        const key = compareBy === 'commit' ? hash : dateStr;
+        if (!key) continue;
+
+        if (!runs[key]) {
+            runs[key] = { key, date: dateStr, commits: [], messages: {}, totals: [], regionSums: {}, regionCounts: {} };
+        }
+        const run = runs[key];
+        run.date = dateStr; // Latest date the run was seen on
+        if (hash && !run.commits.includes(hash)) {
+            run.commits.push(hash);
+            run.messages[hash] = data.metadata.git_commit.message || '';
+        }
+        run.totals.push(data.metadata.total_execution_time || 0);
+        (data.regions || []).forEach(r => {
+            run.regionSums[r.region] = (run.regionSums[r.region] || 0) + r.time;
+            run.regionCounts[r.region] = (run.regionCounts[r.region] || 0) + 1;
+        });
+    }
+
+    return Object.values(runs)
+        .map(run => {
+            const regions = {};
+            Object.keys(run.regionSums).forEach(region => {
+                regions[region] = run.regionSums[region] / run.regionCounts[region];
+            });
+            const shortHashes = run.commits.map(hash => hash.substring(0, 7)).join(', ');
+            const label = compareBy === 'commit'
+                ? `${run.key.substring(0, 7)} (${run.date}) ${run.messages[run.key].split('\n')[0].substring(0, 40)}`
+                : `${run.date}${shortHashes ? ` · ${shortHashes}` : ''}`;
+            return {
+                key: run.key,
+                label,
+                date: run.date,
+                commits: run.commits,
+                total: run.totals.reduce((sum, t) => sum + t, 0) / run.totals.length,
+                regions,
+                count: run.totals.length
+            };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Compute per-region deltas between two runs
+ * @param {Object} runA - Baseline run
+ * @param {Object} runB - Run compared against the baseline
+ * @returns {Object[]} - Rows sorted by absolute delta: { region, timeA, timeB, delta, percent }
+ */
+function compareRunRegions(runA, runB) {
+    const regions = new Set([...Object.keys(runA.regions), ...Object.keys(runB.regions)]);
+    return Array.from(regions)
+        .map(region => {
+            const timeA = runA.regions[region] ?? null;
+            const timeB = runB.regions[region] ?? null;
+            const delta = (timeB || 0) - (timeA || 0);
+            const percent = timeA ? delta / timeA * 100 : null;
+            return { region, timeA, timeB, delta, percent };
+        })
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * Build the GitHub compare URL between the last commits of two runs
+ * @returns {string|null} - Compare URL, or null if either run has no commit
+ */
+function getCompareUrl(runA, runB) {
+    const from = runA.commits[runA.commits.length - 1];
+    const to = runB.commits[runB.commits.length - 1];
+    if (!from || !to || from === to) return null;
+    return getCommitCompareUrl(from, to);
+}
+
+/**
+ * Format a time delta with sign and CSS class
+ */
+function formatDelta(delta, percent) {
+    const cls = delta > 0 ? 'delta-slower' : delta < 0 ? 'delta-faster' : '';
+    const sign = delta > 0 ? '+' : '';
+    const pct = percent === null ? '—' : `${sign}${percent.toFixed(1)}%`;
+    return html`<td class="${cls}">${sign}${delta.toFixed(3)}s</td><td class="${cls}">${pct}</td>`;
+}
+
+/**
+ * Render the comparison panel for the given benchmark groups
+ * @param {string} containerId - ID of the panel container
+ * @param {Object} benchmarkGroups - Prefixed benchmark name -> profiles
+ */
+function renderBenchmarkCompare(containerId, benchmarkGroups) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    compareBenchmarkGroups = benchmarkGroups;
+    const names = Object.keys(benchmarkGroups);
+    if (names.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    if (!names.includes(compareState.benchmark)) {
+        compareState.benchmark = names[0];
+        compareState.hardware = null;
+        compareState.runA = null;
+        compareState.runB = null;
+    }
+
+    container.innerHTML = html`
+        <h3>Compare two runs</h3>
+        <div class="compare-controls">
+            <label>Benchmark
+                <select id="compare-benchmark">
+                    ${names.map(name => html`<option value="${name}">${getBenchmarkDisplayName(name)}</option>`)}
+                </select>
+            </label>
+            <label>Machine <select id="compare-hardware"></select></label>
+            <label>Compare by
+                <select id="compare-by">
+                    <option value="date">Date</option>
+                    <option value="commit">Commit</option>
+                </select>
+            </label>
+            <label>Run A <select id="compare-run-a"></select></label>
+            <label>Run B <select id="compare-run-b"></select></label>
+        </div>
+        <div id="compare-result"></div>
+    `;
+
+    document.getElementById('compare-benchmark').value = compareState.benchmark;
+    document.getElementById('compare-by').value = compareState.compareBy;
+
+    document.getElementById('compare-benchmark').addEventListener('change', e => {
+        compareState.benchmark = e.target.value;
+        compareState.hardware = null;
+        compareState.runA = null;
+        compareState.runB = null;
+        writeCompareUrlState();
+        updateBenchmarkCompare();
+    });
+    // Runs of the same dates or commits stay selected when they exist on the other machine
+    document.getElementById('compare-hardware').addEventListener('change', e => {
+        compareState.hardware = e.target.value;
+        writeCompareUrlState();
+        updateBenchmarkCompare();
+    });
+    document.getElementById('compare-by').addEventListener('change', e => {
+        compareState.compareBy = e.target.value;
+        compareState.runA = null;
+        compareState.runB = null;
+        writeCompareUrlState();
+        updateBenchmarkCompare();
+    });
+    document.getElementById('compare-run-a').addEventListener('change', e => {
+        compareState.runA = e.target.value;
+        writeCompareUrlState();
+        updateBenchmarkCompare();
+    });
+    document.getElementById('compare-run-b').addEventListener('change', e => {
+        compareState.runB = e.target.value;
+        writeCompareUrlState();
+        updateBenchmarkCompare();
+    });
+
+    updateBenchmarkCompare();
+}
+
+/**
+ * Refresh run selectors, delta table and waterfall for the current selection
+ */
+function updateBenchmarkCompare() {
+    const result = document.getElementById('compare-result');
+    const selectA = document.getElementById('compare-run-a');
+    const selectB = document.getElementById('compare-run-b');
+    const selectHardware = document.getElementById('compare-hardware');
+    if (!result || !selectA || !selectB || !selectHardware) return;
+
+    // Default to the machine of the newest run
+    const files = compareBenchmarkGroups[compareState.benchmark] || [];
+    const machines = splitFilesByHardware(files);
+    if (!machines.some(machine => machine.key === compareState.hardware)) {
+        const newest = files.reduce((latest, data) =>
+            !latest || parseTimestamp(data.metadata.timestamp) > parseTimestamp(latest.metadata.timestamp) ? data : latest, null);
+        compareState.hardware = newest ? getHardwareFingerprint(newest.metadata.hardware) : null;
+    }
+    selectHardware.innerHTML = html`${machines.map(machine => html`
+        <option value="${machine.key}">${getHardwareLabel(machine.files[0].metadata.hardware)} (${machine.files.length} runs)</option>`)}`;
+    selectHardware.value = compareState.hardware;
+
+    const machine = machines.find(candidate => candidate.key === compareState.hardware);
+    const runs = buildComparisonRuns(machine ? machine.files : [], compareState.compareBy);
+
+    if (runs.length < 2) {
+        selectA.innerHTML = '';
+        selectB.innerHTML = '';
+        result.innerHTML = '<p class="loading">At least two runs on this machine are needed for a comparison.</p>';
+        return;
+    }
+
+    // Default to the two most recent runs
+    const keys = runs.map(run => run.key);
+    if (!keys.includes(compareState.runA)) compareState.runA = keys[keys.length - 2];
+    if (!keys.includes(compareState.runB)) compareState.runB = keys[keys.length - 1];
+
+    // Newest first in the dropdowns
+    const options = html`${[...runs].reverse().map(run => html`<option value="${run.key}">${run.label}</option>`)}`;
+    selectA.innerHTML = options;
+    selectB.innerHTML = options;
+    selectA.value = compareState.runA;
+    selectB.value = compareState.runB;
+
+    const runA = runs.find(run => run.key === compareState.runA);
+    const runB = runs.find(run => run.key === compareState.runB);
+    const rows = compareRunRegions(runA, runB);
+    const totalDelta = runB.total - runA.total;
+    const compareUrl = getCompareUrl(runA, runB);
+
+    let markup = '<div class="compare-table-container"><table class="compare-table">';
+    markup += '<thead><tr><th>Region</th><th>Run A</th><th>Run B</th><th>Δ</th><th>Δ %</th></tr></thead><tbody>';
+    for (const row of rows) {
+        markup += '<tr>';
+        markup += html`<td>${row.region}</td>`;
+        markup += html`<td>${row.timeA === null ? '—' : row.timeA.toFixed(3) + 's'}</td>`;
+        markup += html`<td>${row.timeB === null ? '—' : row.timeB.toFixed(3) + 's'}</td>`;
+        markup += formatDelta(row.delta, row.percent);
+        markup += '</tr>';
+    }
+    markup += '<tr class="compare-total">';
+    markup += html`<td>Total execution time</td><td>${runA.total.toFixed(3)}s</td><td>${runB.total.toFixed(3)}s</td>`;
+    markup += formatDelta(totalDelta, runA.total ? totalDelta / runA.total * 100 : null);
+    markup += '</tr></tbody></table></div>';
+    markup += compareUrl
+        ? html`<p class="compare-link"><a href="${compareUrl}" target="_blank">View commit diff on GitHub →</a></p>`
+        : '<p class="compare-link">Both runs are on the same commit.</p>';
+    markup += '<div id="compare-waterfall" class="compare-waterfall"></div>';
+    result.innerHTML = markup;
+
+    renderCompareWaterfall('compare-waterfall', runA, runB, rows);
+}
+
+/**
+ * Draw a waterfall chart from run A's total to run B's total
+ */
+function renderCompareWaterfall(containerId, runA, runB, rows) {
+    const container = document.getElementById(containerId);
+    if (!container || typeof Plotly === 'undefined') return;
+
+    // Time not attributed to any region (regions may not add up to the total)
+    const regionDelta = rows.reduce((sum, row) => sum + row.delta, 0);
+    const otherDelta = (runB.total - runA.total) - regionDelta;
+    const steps = rows.filter(row => row.delta !== 0);
+    if (Math.abs(otherDelta) > 1e-6) {
+        steps.push({ region: 'other (unattributed)', delta: otherDelta });
+    }
+
+    const trace = {
+        type: 'waterfall',
+        orientation: 'v',
+        x: ['Run A', ...steps.map(step => step.region), 'Run B'],
+        y: [runA.total, ...steps.map(step => step.delta), 0],
+        measure: ['absolute', ...steps.map(() => 'relative'), 'total'],
+        text: [
+            `${runA.total.toFixed(2)}s`,
+            ...steps.map(step => `${step.delta > 0 ? '+' : ''}${step.delta.toFixed(3)}s`),
+            `${runB.total.toFixed(2)}s`
+        ],
+        textposition: 'outside',
+        hovertemplate: '%{x}: %{text}<extra></extra>',
+        increasing: { marker: { color: '#dc3545' } },
+        decreasing: { marker: { color: '#28a745' } },
+        totals: { marker: { color: '#72aae2' } },
+        connector: { line: { color: '#999', width: 1 } }
+    };
+
+    const layout = {
+        title: { text: 'Where the time moved (Run A → Run B)', font: { size: 14 } },
+        yaxis: { title: 'Time (s)' },
+        margin: { t: 50, b: 100, l: 60, r: 20 },
+        height: 400,
+        showlegend: false
+    };
+
+    Plotly.react(container, [trace], layout, { responsive: true, displaylogo: false });
+}
@@ -0,0 +1,460 @@
+/**
+ * Benchmark Data Helpers (shared by the dashboard and the Node indexer)
+ *
+ * Validation, grouping, hardware fingerprints and the daily aggregation of
+ * profiles.json files, plus the compact run records and per-benchmark series files written
+ * by scripts/index_benchmarks.js. Loaded as a plain script in the browser and
+ * with require() in Node.
+ */
+
+// Format version of benchmarks_index.json and the series files
+const BENCHMARK_INDEX_VERSION = 3;
+
+/**
+ * Parse ISO timestamp string to Date object
+ * Treats timestamps without timezone as UTC to avoid local timezone shifts
+ */
+function parseTimestamp(timestampStr) {
+    // If timestamp doesn't have a timezone indicator, treat it as UTC
+    if (!timestampStr.includes('Z') && !timestampStr.includes('+') && !timestampStr.includes('-', 10)) {
+        timestampStr += 'Z';
+    }
+    return new Date(timestampStr);
+}
+
+/**
+ * Group benchmark files by benchmark name with optional prefix
+ */
+function groupFilesByBenchmark(benchmarkData, prefix = '') {
+    const groups = {};
+    
+    for (const data of benchmarkData) {
+        if (!data || !data.metadata) continue;
+        const name = prefix + data.metadata.benchmark_name;
+        if (!groups[name]) {
+            groups[name] = [];
+        }
+        groups[name].push(data);
+    }
+    
+    return groups;
+}
+
+/**
+ * Identify the machine a benchmark run was executed on
+ * Runs with different fingerprints are never averaged together.
+ */
+function getHardwareFingerprint(hardware = {}) {
+    return [hardware.cpu_model, hardware.architecture, hardware.cpu_max_mhz, hardware.gpu_model]
+        .map(value => value ?? '')
+        .join('|');
+}
+
+/**
+ * Human-readable description of a hardware fingerprint
+ */
+function getHardwareLabel(hardware = {}) {
+    const parts = [hardware.cpu_model, hardware.gpu_model].filter(Boolean);
+    const details = [hardware.architecture, hardware.cpu_max_mhz ? `${hardware.cpu_max_mhz} MHz` : null].filter(Boolean);
+    if (details.length > 0) parts.push(`(${details.join(', ')})`);
+    return parts.length > 0 ? parts.join(' ') : 'Unknown hardware';
+}
+
+/**
+ * Split a benchmark's files by hardware fingerprint
+ * @returns {Object[]} - [{ key, files }]
+ */
+function splitFilesByHardware(files) {
+    const byKey = {};
+    files.forEach(data => {
+        const key = getHardwareFingerprint(data.metadata.hardware);
+        if (!byKey[key]) byKey[key] = [];
+        byKey[key].push(data);
+    });
+    return Object.entries(byKey).map(([key, hwFiles]) => ({ key, files: hwFiles }));
+}
+
+/**
+ * Aggregate one benchmark's profiles into daily series
+ *
+ * Measurements on the same day are averaged; the hover text keeps the
+ * individual measurements so nothing is hidden by the averaging.
+ * Every chart mode is drawn from this same aggregation. When the indexer's
+ * daily aggregate of the same runs is given (see buildDailyAggregates), the
+ * averages are taken from it and the runs are only read for the hover text.
+ *
+ * @param {Object[]} files - Profiles of one benchmark on one machine
+ * @param {string[]} regionList - Regions to aggregate
+ * @param {Object|null} daily - Daily aggregate of these runs from a series file; ignored
+ *                              when its days or run counts do not match the files
+ * @returns {Object} - { dates, totals, dateCommits, runCounts, dateHardware,
+ *                      regionData, regionCountData, regionHoverText }
+ */
+function aggregateBenchmarkSeries(files, regionList, daily = null) {
+    // Collect and sort data by date
+    const dataPoints = files.map(data => ({
+        date: parseTimestamp(data.metadata.timestamp),
+        total: data.metadata.total_execution_time || 0,
+        regions: data.regions || [],
+        hardware: data.metadata.hardware || {},
+        git_commit: data.metadata.git_commit || null
+    })).sort((a, b) => a.date - b.date);
+    
+    // Group by date and average measurements for the same day
+    const dateGroups = {};
+    dataPoints.forEach(dp => {
+        const dateStr = dp.date.toISOString().split('T')[0];
+        if (!dateGroups[dateStr]) {
+            dateGroups[dateStr] = [];
+        }
+        dateGroups[dateStr].push(dp);
+    });
+    
+    const dates = Object.keys(dateGroups).sort();
+    const aggregate = daily && daily.dates.length === dates.length &&
+        daily.dates.every((dateStr, dateIdx) => dateStr === dates[dateIdx] && daily.runs[dateIdx] === dateGroups[dateStr].length)
+        ? daily : null;
+    
+    // Average measurements for each date
+    const totals = aggregate ? aggregate.totals : dates.map(dateStr => {
+        const points = dateGroups[dateStr];
+        const avgTotal = points.reduce((sum, p) => sum + p.total, 0) / points.length;
+        return avgTotal;
+    });
+    
+    // Commit hashes benchmarked on each date (in run order) for suspect ranges
+    const dateCommits = aggregate ? aggregate.commits : dates.map(dateStr => [...new Set(
+        dateGroups[dateStr].map(dp => dp.git_commit?.hash).filter(hash => hash)
+    )]);
+    
+    // Number of runs and hardware descriptions per date
+    const runCounts = aggregate ? aggregate.runs : dates.map(dateStr => dateGroups[dateStr].length);
+    const dateHardware = dates.map(dateStr => [...new Set(
+        dateGroups[dateStr].map(dp => getHardwareLabel(dp.hardware))
+    )]);
+    
+    // Build region data with averaging and track individual measurements for hover
+    const regionData = {};
+    const regionCountData = {};
+    const regionHoverText = {};
+    regionList.forEach(region => {
+        const aggregated = aggregate && aggregate.regions[region];
+        regionData[region] = aggregated ? [...aggregated.time] : new Array(dates.length).fill(0);
+        regionCountData[region] = aggregated ? [...aggregated.count] : new Array(dates.length).fill(0);
+        regionHoverText[region] = new Array(dates.length).fill('');
+    });
+    
+    dates.forEach((dateStr, dateIdx) => {
+        const points = dateGroups[dateStr];
+        const regionSums = {};
+        const regionCounts = {};
+        const regionValues = {};
+        const regionTimestamps = {};
+        const hardwareInfo = {};
+        
+        // Sum up region times across all measurements on this date
+        points.forEach(dp => {
+            const timeStr = dp.date.toISOString().split('T')[1].substring(0, 5); // HH:MM
+            dp.regions.forEach(r => {
+                if (!regionSums[r.region]) {
+                    regionSums[r.region] = 0;
+                    regionCounts[r.region] = 0;
+                    regionValues[r.region] = [];
+                    regionTimestamps[r.region] = [];
+                    hardwareInfo[r.region] = [];
+                }
+                regionSums[r.region] += r.time;
+                regionCounts[r.region]++;
+                regionValues[r.region].push(r.time);
+                regionTimestamps[r.region].push({ 
+                    time: timeStr, 
+                    value: r.time,
+                    hardware: dp.hardware,
+                    git_commit: dp.git_commit
+                });
+            });
+        });
+        
+        // Calculate averages and build hover text
+        Object.keys(regionSums).forEach(region => {
+            if (regionData[region] !== undefined) {
+                const avg = aggregate ? regionData[region][dateIdx] : regionSums[region] / regionCounts[region];
+                regionData[region][dateIdx] = avg;
+                regionCountData[region][dateIdx] = regionCounts[region];
+                
+                // Build hover text showing individual measurements if multiple
+                if (regionCounts[region] > 1) {
+                    // Sort by timestamp
+                    const sortedMeasurements = regionTimestamps[region]
+                        .sort((a, b) => a.time.localeCompare(b.time));
+                    
+                    const measurements = sortedMeasurements
+                        .map((m, i) => {
+                            const hw = m.hardware;
+                            let hwItems = [];
+                            if (hw.architecture) hwItems.push(`• Architecture: ${hw.architecture}`);
+                            if (hw.cpu_model) hwItems.push(`• CPU: ${hw.cpu_model}`);
+                            if (hw.cpu_max_mhz) hwItems.push(`• Max Freq: ${hw.cpu_max_mhz} MHz`);
+                            
+                            // Add git commit info if available
+                            if (m.git_commit && m.git_commit.hash) {
+                                const shortHash = m.git_commit.hash.substring(0, 7);
+                                hwItems.push(`• Commit: ${shortHash}`);
+                                if (m.git_commit.message) {
+                                    // Truncate long commit messages
+                                    const msg = m.git_commit.message.length > 50 
+                                        ? m.git_commit.message.substring(0, 47) + '...' 
+                                        : m.git_commit.message;
+                                    hwItems.push(`  ${msg}`);
+                                }
+                                hwItems.push(`  <i>(Click for commit details)</i>`);
+                            }
+                            
+                            const hwInfo = hwItems.length > 0 ? '<br>' + hwItems.join('<br>') : '';
+                            return `<b>${m.time}</b>: ${m.value.toFixed(2)}s${hwInfo}`;
+                        })
+                        .join('<br><br>');
+                    regionHoverText[region][dateIdx] = 
+                        `<b>${dateStr}</b><br>` +
+                        `<b>${region}</b><br>` +
+                        `<b>Average:</b> ${avg.toFixed(2)}s<br>` +
+                        `<b>(${regionCounts[region]} measurements)</b><br><br>` +
+                        measurements;
+                } else {
+                    const hw = regionTimestamps[region][0].hardware;
+                    const git = regionTimestamps[region][0].git_commit;
+                    let hwItems = [];
+                    if (hw.architecture) hwItems.push(`• Architecture: ${hw.architecture}`);
+                    if (hw.cpu_model) hwItems.push(`• CPU: ${hw.cpu_model}`);
+                    if (hw.cpu_max_mhz) hwItems.push(`• Max Freq: ${hw.cpu_max_mhz} MHz`);
+                    
+                    // Add git commit info if available
+                    if (git && git.hash) {
+                        const shortHash = git.hash.substring(0, 7);
+                        hwItems.push(`• Commit: ${shortHash}`);
+                        if (git.message) {
+                            // Truncate long commit messages
+                            const msg = git.message.length > 50 
+                                ? git.message.substring(0, 47) + '...' 
+                                : git.message;
+                            hwItems.push(`  ${msg}`);
+                        }
+                        hwItems.push(`  <i>(Click for commit details)</i>`);
+                    }
+                    
+                    const hwInfo = hwItems.length > 0 ? '<br>' + hwItems.join('<br>') : '';
+                    regionHoverText[region][dateIdx] = 
+                        `<b>${dateStr}</b><br>` +
+                        `<b>${region}</b><br>` +
+                        `<b>Time:</b> ${avg.toFixed(2)}s${hwInfo}`;
+                }
+            }
+        });
+    });
+    
+    return {
+        dates, totals, dateCommits, runCounts, dateHardware,
+        regionData, regionCountData, regionHoverText
+    };
+}
+
+/**
+ * All regions measured in a set of profiles, sorted
+ */
+function collectRegions(files) {
+    const allRegions = new Set();
+    for (const data of files) {
+        if (data.regions) {
+            data.regions.forEach(r => allRegions.add(r.region));
+        }
+    }
+    return Array.from(allRegions).sort();
+}
+
+/**
+ * Check a parsed profiles.json against the fields the dashboard relies on
+ *
+ * Required: metadata.benchmark_name (string), metadata.timestamp (parseable
+ * date string) and regions[] with a string `region` and a finite, non-negative
+ * `time`. Optional fields must have the right type when present.
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {string[]} - Problems found; empty when the profile is valid
+ */
+function validateProfile(data) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+    if (!isObject(data)) return ['not a JSON object'];
+    const { metadata, regions } = data;
+
+    if (!isObject(metadata)) {
+        errors.push('missing metadata object');
+    } else {
+        if (typeof metadata.benchmark_name !== 'string' || metadata.benchmark_name === '') {
+            errors.push('metadata.benchmark_name must be a non-empty string');
+        }
+        if (typeof metadata.timestamp !== 'string' || isNaN(parseTimestamp(metadata.timestamp).getTime())) {
+            errors.push(`metadata.timestamp is not a valid date (${JSON.stringify(metadata.timestamp)})`);
+        }
+        if (metadata.total_execution_time !== undefined && !isTime(metadata.total_execution_time)) {
+            errors.push('metadata.total_execution_time must be a non-negative number');
+        }
+        if (metadata.hardware !== undefined && !isObject(metadata.hardware)) {
+            errors.push('metadata.hardware must be an object');
+        }
+        if (metadata.git_commit !== undefined && metadata.git_commit !== null &&
+            !(isObject(metadata.git_commit) && typeof metadata.git_commit.hash === 'string')) {
+            errors.push('metadata.git_commit must be an object with a string hash');
+        }
+    }
+
+    if (!Array.isArray(regions)) {
+        errors.push('regions must be an array');
+    } else {
+        regions.forEach((r, idx) => {
+            if (!isObject(r) || typeof r.region !== 'string' || r.region === '') {
+                errors.push(`regions[${idx}].region must be a non-empty string`);
+            } else if (!isTime(r.time)) {
+                errors.push(`regions[${idx}].time (${r.region}) must be a non-negative number`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Index entry of one run (everything the dashboard needs without the profile itself)
+ * @param {Object} data - Parsed profiles.json
+ * @param {string} path - Path of the profile relative to the web root
+ * @param {string} deviceClass - Device class directory, e.g. "gpu"
+ * @param {number} mtime - File modification time (seconds since epoch)
+ */
+function buildIndexRun(data, path, deviceClass, mtime) {
+    const { metadata } = data;
+    return {
+        path,
+        mtime,
+        benchmark_name: metadata.benchmark_name,
+        device_class: deviceClass,
+        timestamp: metadata.timestamp,
+        hardware: metadata.hardware || {},
+        commit: metadata.git_commit || null,
+        total_execution_time: metadata.total_execution_time || 0
+    };
+}
+
+/**
+ * Compact record of one run as stored in a series file
+ */
+function compactRun(data, path) {
+    const regions = {};
+    (data.regions || []).forEach(r => {
+        regions[r.region] = r.time;
+    });
+    return {
+        path,
+        timestamp: data.metadata.timestamp,
+        total_execution_time: data.metadata.total_execution_time || 0,
+        hardware: data.metadata.hardware || {},
+        git_commit: data.metadata.git_commit || null,
+        regions
+    };
+}
+
+/**
+ * Turn a compact run record back into a profiles.json-shaped object
+ */
+function expandRun(run, benchmarkName) {
+    return {
+        metadata: {
+            benchmark_name: benchmarkName,
+            timestamp: run.timestamp,
+            total_execution_time: run.total_execution_time,
+            hardware: run.hardware,
+            git_commit: run.git_commit
+        },
+        regions: Object.entries(run.regions).map(([region, time]) => ({ region, time }))
+    };
+}
+
+/**
+ * Per-machine daily aggregates of one benchmark (the plotted values without hover details)
+ * @returns {Object[]} - [{ hardware, hardware_label, dates, totals, runs, commits, regions: { region: { time, count } } }]
+ */
+function buildDailyAggregates(files, regionList) {
+    return splitFilesByHardware(files).map(({ key, files: hwFiles }) => {
+        const series = aggregateBenchmarkSeries(hwFiles, regionList);
+        const regions = {};
+        regionList.forEach(region => {
+            regions[region] = { time: series.regionData[region], count: series.regionCountData[region] };
+        });
+        return {
+            hardware: key,
+            hardware_label: getHardwareLabel(hwFiles[0].metadata.hardware),
+            dates: series.dates,
+            totals: series.totals,
+            runs: series.runCounts,
+            commits: series.dateCommits,
+            regions
+        };
+    });
+}
+
+/**
+ * Contents of one benchmark's series file
+ *
+ * The plots take the daily values from `daily`; `runs` keeps the compact run
+ * records for the hover texts, the commit panel, the comparison and the export.
+ *
+ * @param {string} benchmarkName - metadata.benchmark_name
+ * @param {string} deviceClass - Device class directory
+ * @param {Object[]} entries - [{ path, data }] with parsed profiles, any order
+ */
+function buildBenchmarkSeriesFile(benchmarkName, deviceClass, entries) {
+    const sorted = [...entries].sort((a, b) =>
+        parseTimestamp(a.data.metadata.timestamp) - parseTimestamp(b.data.metadata.timestamp));
+    const files = sorted.map(entry => entry.data);
+    const regionList = collectRegions(files);
+    return {
+        version: BENCHMARK_INDEX_VERSION,
+        benchmark_name: benchmarkName,
+        device_class: deviceClass,
+        regions: regionList,
+        daily: buildDailyAggregates(files, regionList),
+        runs: sorted.map(entry => compactRun(entry.data, entry.path))
+    };
+}
+
+/**
+ * Path of a benchmark's series file relative to the web root
+ *
+ * Benchmark names come from the synced profiles, so anything but letters,
+ * digits, "_", "." and "-" is replaced to keep the file inside benchmark_series/.
+ */
+function getSeriesFilePath(deviceClass, benchmarkName) {
+    const fileName = `${deviceClass}_${benchmarkName}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+    return `./benchmark_series/${fileName}.json`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BENCHMARK_INDEX_VERSION,
+        parseTimestamp,
+        groupFilesByBenchmark,
+        getHardwareFingerprint,
+        getHardwareLabel,
+        splitFilesByHardware,
+        aggregateBenchmarkSeries,
+        validateProfile,
+        collectRegions,
+        buildIndexRun,
+        compactRun,
+        expandRun,
+        buildDailyAggregates,
+        buildBenchmarkSeriesFile,
+        getSeriesFilePath
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * Benchmark Load Diagnostics
+ *
+ * Records every benchmark file that failed to fetch, parse or validate while
+ * loading, together with when the manifests / index were last updated, and
+ * shows them in a collapsible panel so a malformed nightly file does not just
+ * disappear from the chart.
+ */
+
+// Problems and sources of the current load
+const benchmarkDiagnostics = {
+    failures: [], // { path, stage: 'fetch' | 'parse' | 'validate', reason }
+    sources: []   // { file, updated, count } per manifest or index
+};
+
+// Labels of the load stages
+const DIAGNOSTIC_STAGES = {
+    fetch: 'Fetch failed',
+    parse: 'Invalid JSON',
+    validate: 'Invalid profile'
+};
+
+/**
+ * Forget the previous load's diagnostics
+ */
+function resetBenchmarkDiagnostics() {
+    benchmarkDiagnostics.failures = [];
+    benchmarkDiagnostics.sources = [];
+}
+
+/**
+ * Record a file that could not be used
+ */
+function recordBenchmarkFailure(path, stage, reason) {
+    benchmarkDiagnostics.failures.push({ path, stage, reason });
+}
+
+/**
+ * Record a manifest or index the files were listed in
+ * @param {string} file - Manifest or index file name
+ * @param {string|null} updated - Its `updated` timestamp
+ * @param {number} count - Number of files / runs it lists
+ */
+function recordBenchmarkSource(file, updated, count) {
+    benchmarkDiagnostics.sources.push({ file, updated: updated || null, count });
+}
+
+/**
+ * Drop profiles that fail validation, recording why
+ * @param {Object[]} profiles - Parsed profiles
+ * @param {string[]} paths - Path of each profile (same order)
+ * @returns {Object[]} - Valid profiles
+ */
+function keepValidProfiles(profiles, paths) {
+    return profiles.filter((data, idx) => {
+        const errors = validateProfile(data);
+        if (errors.length === 0) return true;
+        console.warn(`Invalid benchmark file ${paths[idx]}:`, errors);
+        recordBenchmarkFailure(paths[idx], 'validate', errors.join('; '));
+        return false;
+    });
+}
+
+/**
+ * Render the collapsible diagnostics panel
+ * @param {string} containerId - ID of the panel container
+ */
+function renderBenchmarkDiagnostics(containerId = 'benchmark-diagnostics') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const { failures, sources } = benchmarkDiagnostics;
+    const sourceText = sources
+        .map(source => `${source.file}: ${source.count} entries, updated ${source.updated || 'unknown'}`)
+        .join(' · ');
+
+    let markup = html`<details class="diagnostics-panel${failures.length > 0 ? ' has-failures' : ''}">`;
+    markup += html`<summary>Load diagnostics: ${failures.length === 0 ? 'all files loaded' : `${failures.length} file${failures.length === 1 ? '' : 's'} skipped`}</summary>`;
+    markup += html`<p class="diagnostics-sources">${sourceText || 'No manifest or index loaded'}</p>`;
+
+    if (failures.length > 0) {
+        markup += '<div class="diagnostics-table-container"><table class="diagnostics-table">';
+        markup += '<thead><tr><th>File</th><th>Problem</th><th>Reason</th></tr></thead><tbody>';
+        failures.forEach(failure => {
+            markup += html`<tr><td class="diagnostics-path">${failure.path}</td><td class="diagnostics-stage">${DIAGNOSTIC_STAGES[failure.stage] || failure.stage}</td><td class="diagnostics-reason">${failure.reason}</td></tr>`;
+        });
+        markup += '</tbody></table></div>';
+    }
+    markup += '</details>';
+    container.innerHTML = markup;
+}
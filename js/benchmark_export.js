@@ -0,0 +1,180 @@
+/**
+ * Export of Aggregated Benchmark Data
+ *
+ * Downloads exactly what the benchmark plots show for the selected date range:
+ * per-date, per-region averaged times with measurement counts, commits and
+ * hardware, as CSV or JSON, for one benchmark or all of them.
+ */
+
+/**
+ * Parse a Plotly date string ("2025-01-07" or "2025-01-07 13:45:00.000") as UTC milliseconds
+ */
+function parsePlotlyDate(dateStr) {
+    const iso = String(dateStr).trim().replace(' ', 'T');
+    return Date.parse(iso.length <= 10 ? iso : `${iso}Z`);
+}
+
+/**
+ * Collect export rows from the series of the last drawn figure
+ * @param {Object} seriesByBenchmark - Prefixed name -> [{ key, series }] (one entry per machine)
+ * @param {string[]} benchmarkNames - Benchmarks to export
+ * @param {string[]} regionList - Regions in legend order
+ * @param {Array|null} dateRange - [start, end] Plotly dates, or null for everything
+ * @returns {Object[]} - One row per benchmark, machine and date
+ */
+function collectExportRows(seriesByBenchmark, benchmarkNames, regionList, dateRange) {
+    const [start, end] = dateRange
+        ? dateRange.map(parsePlotlyDate)
+        : [-Infinity, Infinity];
+    const rows = [];
+
+    for (const name of benchmarkNames) {
+        for (const { series } of seriesByBenchmark[name] || []) {
+            series.dates.forEach((dateStr, dateIdx) => {
+                // Bars are centered on the date, so that is what decides visibility
+                const time = parsePlotlyDate(dateStr);
+                if (time < start || time > end) return;
+
+                const regions = {};
+                regionList.forEach(region => {
+                    const count = series.regionCountData[region][dateIdx];
+                    if (count > 0) {
+                        regions[region] = { time: series.regionData[region][dateIdx], count };
+                    }
+                });
+
+                rows.push({
+                    benchmark: getBenchmarkDisplayName(name),
+                    benchmark_key: name,
+                    date: dateStr,
+                    hardware: series.dateHardware[dateIdx].join('; '),
+                    runs: series.runCounts[dateIdx],
+                    total_execution_time: series.totals[dateIdx],
+                    commits: series.dateCommits[dateIdx],
+                    regions
+                });
+            });
+        }
+    }
+
+    return rows.sort((a, b) => a.benchmark_key.localeCompare(b.benchmark_key) || a.date.localeCompare(b.date));
+}
+
+/**
+ * Quote a CSV field if needed
+ */
+function csvField(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Convert export rows to long-format CSV (one line per benchmark, date, machine and region)
+ */
+function exportRowsToCSV(rows) {
+    const header = ['benchmark', 'date', 'hardware', 'region', 'time_s', 'count', 'total_execution_time_s', 'runs', 'commits'];
+    const lines = [header.join(',')];
+    for (const row of rows) {
+        for (const [region, { time, count }] of Object.entries(row.regions)) {
+            lines.push([
+                row.benchmark,
+                row.date,
+                row.hardware,
+                region,
+                time.toFixed(6),
+                count,
+                row.total_execution_time.toFixed(6),
+                row.runs,
+                row.commits.join(' ')
+            ].map(csvField).join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Trigger a browser download of a text file
+ */
+function downloadTextFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after click() returns, so keep the URL until then
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export the currently shown data in the given format
+ * @param {string} scope - Prefixed benchmark name or 'all'
+ * @param {string} format - 'csv' or 'json'
+ * @returns {number} - Number of exported rows
+ */
+function exportBenchmarkData(scope, format) {
+    if (!lastBenchmarkFigure) return 0;
+
+    const names = scope === 'all' ? Object.keys(lastBenchmarkFigure.series) : [scope];
+    const dateRange = benchmarkViewState.dateRange;
+    const rows = collectExportRows(lastBenchmarkFigure.series, names, lastBenchmarkFigure.regionList, dateRange);
+    if (rows.length === 0) return 0;
+
+    const first = rows.reduce((min, row) => row.date < min ? row.date : min, rows[0].date);
+    const last = rows.reduce((max, row) => row.date > max ? row.date : max, rows[0].date);
+    const basename = `specfempp_benchmarks_${scope === 'all' ? 'all' : scope}_${first}_${last}`;
+
+    if (format === 'json') {
+        const payload = {
+            exported: new Date().toISOString(),
+            date_range: dateRange,
+            hardware_filter: benchmarkViewState.hardwareFilter,
+            rows
+        };
+        downloadTextFile(`${basename}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    } else {
+        downloadTextFile(`${basename}.csv`, exportRowsToCSV(rows), 'text/csv');
+    }
+    return rows.length;
+}
+
+/**
+ * Render the export scope selector and download buttons
+ * @param {string} containerId - ID of the export controls container
+ * @param {string[]} benchmarkNames - Prefixed names of all loaded benchmarks
+ */
+function renderBenchmarkExportControls(containerId, benchmarkNames) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    // Keep the chosen scope across redraws while that benchmark is still plotted
+    const previousScope = document.getElementById('export-scope')?.value;
+    const options = benchmarkNames
+        .map(name => html`<option value="${name}">${getBenchmarkDisplayName(name)}</option>`);
+    container.innerHTML = html`
+        <label>Export
+            <select id="export-scope">
+                <option value="all">All benchmarks</option>
+                ${options}
+            </select>
+        </label>
+        <button type="button" class="export-button" data-format="csv">CSV</button>
+        <button type="button" class="export-button" data-format="json">JSON</button>
+        <span id="export-status" class="export-status"></span>
+    `;
+
+    if (benchmarkNames.includes(previousScope)) {
+        document.getElementById('export-scope').value = previousScope;
+    }
+
+    container.querySelectorAll('.export-button').forEach(button => {
+        button.addEventListener('click', () => {
+            const scope = document.getElementById('export-scope').value;
+            const count = exportBenchmarkData(scope, button.dataset.format);
+            document.getElementById('export-status').textContent =
+                count > 0 ? `${count} rows exported` : 'Nothing to export in the selected range';
+        });
+    });
+}
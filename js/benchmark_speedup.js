@@ -0,0 +1,301 @@
+/**
+ * CPU vs GPU Speedup of Matching Benchmarks
+ *
+ * Pairs benchmarks with the same base name across the CPU and GPU device
+ * classes and plots the GPU speedup (CPU time / GPU time) over time, for the
+ * total execution time and per region. Every GPU run is matched with the
+ * nearest CPU run on the same commit, or failing that on the same day. Each
+ * pair of CPU and GPU machines gets its own series, so a hardware swap never
+ * shows up as a speedup change.
+ */
+
+const SPEEDUP_CONFIG = {
+    baselineClass: 'cpu',    // Device class in the numerator
+    acceleratedClass: 'gpu'  // Device class in the denominator
+};
+
+// Current selection of the speedup view
+const speedupState = {
+    pair: 'all' // 'all' (total speedup of every pair) or a benchmark base name
+};
+
+// Pairs the view was last rendered with
+let speedupPairs = [];
+
+/**
+ * Pair baseline and accelerated benchmarks that share a base name
+ * @param {Object} deviceGroups - Device class -> prefixed benchmark name -> profiles
+ * @returns {Object[]} - [{ baseName, baselineName, acceleratedName, baselineFiles, acceleratedFiles }]
+ */
+function findSpeedupPairs(deviceGroups) {
+    const baselineGroups = deviceGroups[SPEEDUP_CONFIG.baselineClass] || {};
+    const acceleratedGroups = deviceGroups[SPEEDUP_CONFIG.acceleratedClass] || {};
+
+    const baselineByBase = {};
+    for (const [name, files] of Object.entries(baselineGroups)) {
+        baselineByBase[benchmarkInfo[name]?.baseName || files[0].metadata.benchmark_name] = { name, files };
+    }
+
+    const pairs = [];
+    for (const [name, files] of Object.entries(acceleratedGroups)) {
+        const baseName = benchmarkInfo[name]?.baseName || files[0].metadata.benchmark_name;
+        const baseline = baselineByBase[baseName];
+        if (!baseline) continue;
+        pairs.push({
+            baseName,
+            baselineName: baseline.name,
+            acceleratedName: name,
+            baselineFiles: baseline.files,
+            acceleratedFiles: files
+        });
+    }
+    return pairs.sort((a, b) => a.baseName.localeCompare(b.baseName));
+}
+
+/**
+ * Match every accelerated run with the nearest baseline run on the same commit, else the same day
+ *
+ * The files of each side must come from one machine (see matchSpeedupRunsByHardware).
+ *
+ * @returns {Object[]} - Oldest first: { timestamp, date, commit, matchedBy, baselineTotal,
+ *                       acceleratedTotal, speedup, regions: { region: speedup } }
+ */
+function matchSpeedupRuns(baselineFiles, acceleratedFiles) {
+    const dayOf = data => parseTimestamp(data.metadata.timestamp).toISOString().split('T')[0];
+    const nearest = (candidates, time) => candidates.reduce((best, data) => {
+        const distance = Math.abs(parseTimestamp(data.metadata.timestamp) - time);
+        return !best || distance < best.distance ? { data, distance } : best;
+    }, null)?.data;
+
+    const points = [];
+    for (const accelerated of acceleratedFiles) {
+        const time = parseTimestamp(accelerated.metadata.timestamp);
+        const hash = accelerated.metadata.git_commit?.hash;
+
+        let matchedBy = 'commit';
+        let baseline = hash ? nearest(baselineFiles.filter(data => data.metadata.git_commit?.hash === hash), time) : null;
+        if (!baseline) {
+            matchedBy = 'day';
+            baseline = nearest(baselineFiles.filter(data => dayOf(data) === dayOf(accelerated)), time);
+        }
+        if (!baseline) continue;
+
+        const baselineTotal = baseline.metadata.total_execution_time || 0;
+        const acceleratedTotal = accelerated.metadata.total_execution_time || 0;
+        const baselineRegions = {};
+        (baseline.regions || []).forEach(r => { baselineRegions[r.region] = r.time; });
+        const regions = {};
+        (accelerated.regions || []).forEach(r => {
+            if (baselineRegions[r.region] > 0 && r.time > 0) {
+                regions[r.region] = baselineRegions[r.region] / r.time;
+            }
+        });
+
+        points.push({
+            timestamp: time,
+            date: dayOf(accelerated),
+            commit: hash || null,
+            baselineCommit: baseline.metadata.git_commit?.hash || null,
+            matchedBy,
+            baselineTotal,
+            acceleratedTotal,
+            speedup: baselineTotal > 0 && acceleratedTotal > 0 ? baselineTotal / acceleratedTotal : null,
+            regions
+        });
+    }
+    return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Matched runs of a pair, one series per combination of baseline and accelerated machine
+ * @returns {Object[]} - [{ baselineHardware, acceleratedHardware, points }] (hardware labels),
+ *                       combinations without a matched run left out
+ */
+function matchSpeedupRunsByHardware(pair) {
+    const series = [];
+    for (const accelerated of splitFilesByHardware(pair.acceleratedFiles)) {
+        for (const baseline of splitFilesByHardware(pair.baselineFiles)) {
+            const points = matchSpeedupRuns(baseline.files, accelerated.files);
+            if (points.length === 0) continue;
+            series.push({
+                baselineHardware: getHardwareLabel(baseline.files[0].metadata.hardware),
+                acceleratedHardware: getHardwareLabel(accelerated.files[0].metadata.hardware),
+                points
+            });
+        }
+    }
+    return series;
+}
+
+/**
+ * Hover text of one matched point
+ */
+function formatSpeedupHover(point, label, speedup, series) {
+    const match = point.matchedBy === 'commit'
+        ? `same commit ${point.commit.substring(0, 7)}`
+        : `same day (${point.commit ? point.commit.substring(0, 7) : '?'} vs ${point.baselineCommit ? point.baselineCommit.substring(0, 7) : '?'})`;
+    return `<b>${point.date}</b><br><b>${label}:</b> ${speedup.toFixed(2)}×<br>` +
+        `CPU ${point.baselineTotal.toFixed(2)}s / GPU ${point.acceleratedTotal.toFixed(2)}s total<br>` +
+        `CPU: ${series.baselineHardware}<br>GPU: ${series.acceleratedHardware}<br>` +
+        `<i>Matched on ${match}</i>`;
+}
+
+/**
+ * Trace name suffix naming the machines, when a pair has series of several
+ */
+function formatSpeedupMachines(series, seriesCount) {
+    return seriesCount > 1 ? ` (${series.baselineHardware} / ${series.acceleratedHardware})` : '';
+}
+
+/**
+ * Build the speedup traces for the current selection
+ */
+function buildSpeedupTraces(pairs, selection) {
+    const traces = [];
+
+    // Machine combinations are told apart by dash style, as the machines in the benchmark plots
+    const dash = seriesIdx => HARDWARE_DASHES[seriesIdx % HARDWARE_DASHES.length];
+
+    if (selection === 'all') {
+        pairs.forEach((pair, idx) => {
+            const pairSeries = matchSpeedupRunsByHardware(pair);
+            pairSeries.forEach((series, seriesIdx) => {
+                const points = series.points.filter(point => point.speedup !== null);
+                traces.push({
+                    x: points.map(point => toPlotlyDate(point.timestamp.getTime())),
+                    y: points.map(point => point.speedup),
+                    text: points.map(point => formatSpeedupHover(point, 'Total speedup', point.speedup, series)),
+                    name: formatBenchmarkName(pair.acceleratedName) + formatSpeedupMachines(series, pairSeries.length),
+                    type: 'scatter',
+                    mode: 'lines+markers',
+                    line: { color: getRegionColor(pair.baseName, idx), width: 2, dash: dash(seriesIdx) },
+                    hovertemplate: '%{text}<extra>%{fullData.name}</extra>'
+                });
+            });
+        });
+        return traces;
+    }
+
+    const pair = pairs.find(p => p.baseName === selection);
+    if (!pair) return traces;
+    const pairSeries = matchSpeedupRunsByHardware(pair);
+
+    // Regions colored as in the benchmark plots
+    const regionList = collectRegions([...pair.baselineFiles, ...pair.acceleratedFiles]);
+    const allRegions = lastBenchmarkFigure ? lastBenchmarkFigure.regionList : regionList;
+
+    pairSeries.forEach((series, seriesIdx) => {
+        const { points } = series;
+        const machines = formatSpeedupMachines(series, pairSeries.length);
+
+        const totalPoints = points.filter(point => point.speedup !== null);
+        traces.push({
+            x: totalPoints.map(point => toPlotlyDate(point.timestamp.getTime())),
+            y: totalPoints.map(point => point.speedup),
+            text: totalPoints.map(point => formatSpeedupHover(point, 'Total speedup', point.speedup, series)),
+            name: `Total${machines}`,
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: '#2c3e50', width: 3, dash: dash(seriesIdx) },
+            hovertemplate: '%{text}<extra></extra>'
+        });
+
+        regionList.forEach(region => {
+            const regionPoints = points.filter(point => point.regions[region] !== undefined);
+            if (regionPoints.length === 0) return;
+            traces.push({
+                x: regionPoints.map(point => toPlotlyDate(point.timestamp.getTime())),
+                y: regionPoints.map(point => point.regions[region]),
+                text: regionPoints.map(point => formatSpeedupHover(point, region, point.regions[region], series)),
+                name: `${region}${machines}`,
+                type: 'scatter',
+                mode: 'lines+markers',
+                line: { color: getRegionColor(region, Math.max(allRegions.indexOf(region), 0)), width: 1.5, dash: dash(seriesIdx) },
+                marker: { size: 4 },
+                hovertemplate: '%{text}<extra></extra>'
+            });
+        });
+    });
+    return traces;
+}
+
+/**
+ * Render the speedup view
+ * @param {string} containerId - ID of the view container
+ * @param {Object} deviceGroups - Device class -> prefixed benchmark name -> profiles
+ */
+function renderBenchmarkSpeedup(containerId, deviceGroups) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    speedupPairs = findSpeedupPairs(deviceGroups);
+    if (speedupPairs.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    if (speedupState.pair !== 'all' && !speedupPairs.some(pair => pair.baseName === speedupState.pair)) {
+        speedupState.pair = 'all';
+    }
+
+    const options = speedupPairs
+        .map(pair => html`<option value="${pair.baseName}">${formatBenchmarkName(pair.acceleratedName)} (total and per region)</option>`);
+    container.innerHTML = html`
+        <h3>GPU speedup (CPU time / GPU time)</h3>
+        <div class="compare-controls">
+            <label>Benchmark
+                <select id="speedup-pair">
+                    <option value="all">All benchmarks (total)</option>
+                    ${options}
+                </select>
+            </label>
+        </div>
+        <div id="speedup-plot" class="speedup-plot"></div>
+    `;
+
+    const select = document.getElementById('speedup-pair');
+    select.value = speedupState.pair;
+    select.addEventListener('change', () => {
+        speedupState.pair = select.value;
+        drawBenchmarkSpeedup();
+    });
+
+    drawBenchmarkSpeedup();
+}
+
+/**
+ * Draw the speedup chart for the current selection
+ */
+function drawBenchmarkSpeedup() {
+    const plot = document.getElementById('speedup-plot');
+    if (!plot || typeof Plotly === 'undefined') return;
+
+    const traces = buildSpeedupTraces(speedupPairs, speedupState.pair);
+    if (traces.every(trace => trace.x.length === 0)) {
+        Plotly.purge(plot);
+        plot.innerHTML = '<p class="loading">No CPU and GPU runs on the same commit or day yet.</p>';
+        return;
+    }
+    if (!plot.data) plot.innerHTML = '';
+
+    const layout = {
+        xaxis: { type: 'date', title: 'Date' },
+        yaxis: { title: 'Speedup (×)', rangemode: 'tozero' },
+        // Break-even line: below 1 the GPU run was slower
+        shapes: [{
+            type: 'line',
+            xref: 'paper',
+            x0: 0,
+            x1: 1,
+            y0: 1,
+            y1: 1,
+            line: { color: '#999', width: 1, dash: 'dot' }
+        }],
+        hovermode: 'closest',
+        hoverlabel: { align: 'left' },
+        legend: { orientation: 'h', y: -0.2 },
+        margin: { t: 20, b: 80, l: 60, r: 20 },
+        height: 400
+    };
+
+    Plotly.react(plot, traces, layout, { responsive: true, displaylogo: false });
+}
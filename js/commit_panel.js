@@ -0,0 +1,158 @@
+/**
+ * Commit Detail Side Panel
+ *
+ * Clicking a bar or point of the benchmark plots opens a panel listing every
+ * run behind it: short hash, commit message, run time, hardware and total
+ * execution time, with links to the commit and to the diff against the
+ * previously benchmarked commit. Links point at `benchmarks.sourceRepo`
+ * from dashboard.config.json.
+ */
+
+/**
+ * GitHub repository the benchmarked commits belong to
+ */
+function getBenchmarkSourceRepo() {
+    return benchmarkConfig?.sourceRepo || DEFAULT_DASHBOARD_CONFIG.benchmarks.sourceRepo;
+}
+
+/**
+ * URL of a benchmarked commit
+ */
+function getCommitUrl(hash) {
+    return `https://github.com/${getBenchmarkSourceRepo()}/commit/${hash}`;
+}
+
+/**
+ * URL of the diff between two benchmarked commits
+ */
+function getCommitCompareUrl(from, to) {
+    return `https://github.com/${getBenchmarkSourceRepo()}/compare/${from}...${to}`;
+}
+
+/**
+ * Runs of a benchmark on one date and machine, oldest first
+ */
+function findRunsOnDate(files, dateStr, hardwareKey) {
+    return files
+        .filter(data => parseTimestamp(data.metadata.timestamp).toISOString().split('T')[0] === dateStr)
+        .filter(data => hardwareKey === undefined || getHardwareFingerprint(data.metadata.hardware) === hardwareKey)
+        .sort((a, b) => parseTimestamp(a.metadata.timestamp) - parseTimestamp(b.metadata.timestamp));
+}
+
+/**
+ * Most recent commit benchmarked before a run on the same machine that differs from the run's commit
+ * @returns {string|null} - Commit hash
+ */
+function findPreviousBenchmarkedCommit(files, run) {
+    const hash = run.metadata.git_commit?.hash;
+    const time = parseTimestamp(run.metadata.timestamp);
+    const hardwareKey = getHardwareFingerprint(run.metadata.hardware);
+    let previous = null;
+    let previousTime = -Infinity;
+    for (const data of files) {
+        if (getHardwareFingerprint(data.metadata.hardware) !== hardwareKey) continue;
+        const otherHash = data.metadata.git_commit?.hash;
+        const otherTime = parseTimestamp(data.metadata.timestamp);
+        if (otherHash && otherHash !== hash && otherTime < time && otherTime > previousTime) {
+            previous = otherHash;
+            previousTime = otherTime;
+        }
+    }
+    return previous;
+}
+
+/**
+ * Open the side panel for the runs behind a clicked bar or point
+ * @param {string} benchmarkName - Prefixed benchmark name
+ * @param {string} dateStr - Date of the bar (YYYY-MM-DD)
+ * @param {string} hardwareKey - Hardware fingerprint of the clicked series
+ */
+function openCommitPanel(benchmarkName, dateStr, hardwareKey) {
+    const panel = document.getElementById('commit-panel');
+    if (!panel || !loadedBenchmarkGroups) return;
+
+    const files = flattenDeviceGroups(loadedBenchmarkGroups)[benchmarkName] || [];
+    const runs = findRunsOnDate(files, dateStr, hardwareKey);
+
+    let markup = html`
+        <div class="commit-panel-header">
+            <div>
+                <h3>${getBenchmarkDisplayName(benchmarkName)}</h3>
+                <p class="commit-panel-date">${dateStr} · ${runs.length} run${runs.length === 1 ? '' : 's'}</p>
+            </div>
+            <button type="button" class="commit-panel-close" aria-label="Close">&times;</button>
+        </div>
+    `;
+
+    if (runs.length === 0) {
+        markup += '<p class="loading">No runs found for this date.</p>';
+    }
+
+    markup += '<ul class="commit-list">';
+    runs.forEach(run => {
+        const git = run.metadata.git_commit || {};
+        const message = git.message || '';
+        const time = parseTimestamp(run.metadata.timestamp).toISOString().split('T')[1].substring(0, 5);
+        const previous = git.hash ? findPreviousBenchmarkedCommit(files, run) : null;
+
+        markup += '<li class="commit-entry">';
+        markup += git.hash
+            ? html`<a class="commit-hash" href="${getCommitUrl(git.hash)}" target="_blank"><code>${git.hash.substring(0, 7)}</code></a>`
+            : '<span class="commit-hash">No commit recorded</span>';
+        markup += html`<p class="commit-message" title="${message}">${message.split('\n')[0]}</p>`;
+        markup += '<dl class="commit-details">';
+        markup += html`<dt>Run</dt><dd>${time} UTC</dd>`;
+        markup += html`<dt>Hardware</dt><dd>${getHardwareLabel(run.metadata.hardware)}</dd>`;
+        markup += html`<dt>Total</dt><dd>${(run.metadata.total_execution_time || 0).toFixed(2)}s</dd>`;
+        markup += '</dl>';
+        if (previous) {
+            markup += '<p class="commit-actions">';
+            markup += html`<a href="${getCommitCompareUrl(previous, git.hash)}" target="_blank">Compare with previous benchmarked commit (${previous.substring(0, 7)}) →</a>`;
+            markup += html`<button type="button" class="commit-compare-runs" data-from="${previous}" data-to="${git.hash}"
+                data-hardware="${getHardwareFingerprint(run.metadata.hardware)}">Show in comparison panel</button>`;
+            markup += '</p>';
+        }
+        markup += '</li>';
+    });
+    markup += '</ul>';
+
+    panel.innerHTML = markup;
+
+    panel.querySelector('.commit-panel-close').addEventListener('click', closeCommitPanel);
+    panel.querySelectorAll('.commit-compare-runs').forEach(button => {
+        button.addEventListener('click', () => {
+            showCommitsInComparePanel(benchmarkName, button.dataset.from, button.dataset.to, button.dataset.hardware);
+        });
+    });
+
+    panel.hidden = false;
+}
+
+/**
+ * Close the side panel
+ */
+function closeCommitPanel() {
+    const panel = document.getElementById('commit-panel');
+    if (panel) panel.hidden = true;
+}
+
+/**
+ * Show two commits of a benchmark on one machine in the comparison panel below the plots
+ * @param {string} hardwareKey - Hardware fingerprint of the runs
+ */
+function showCommitsInComparePanel(benchmarkName, fromHash, toHash, hardwareKey) {
+    compareState.benchmark = benchmarkName;
+    compareState.hardware = hardwareKey;
+    compareState.compareBy = 'commit';
+    compareState.runA = fromHash;
+    compareState.runB = toHash;
+    writeCompareUrlState();
+    renderBenchmarkCompare('benchmark-compare', flattenDeviceGroups(loadedBenchmarkGroups));
+
+    closeCommitPanel();
+    document.getElementById('benchmark-compare')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeCommitPanel();
+});
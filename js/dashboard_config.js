@@ -0,0 +1,152 @@
+/**
+ * Dashboard Configuration Loader
+ *
+ * Loads dashboard.config.json and merges it over the built-in defaults below,
+ * so the page keeps working when the file is missing or only sets a few keys.
+ * Other scripts call getDashboardConfig() and await the merged result; Node
+ * scripts require this file for the defaults and mergeConfig() (see
+ * scripts/read_config.js).
+ */
+
+// Built-in defaults (mirrors the shipped dashboard.config.json)
+const DEFAULT_DASHBOARD_CONFIG = {
+    // Page title, section headings and footer
+    page: {
+        title: 'SPECFEM++ Development Dashboard',
+        headings: {
+            benchmarks: 'Nightly Benchmarks',
+            pullRequests: 'Open Pull Requests'
+        },
+        footer: '© 2025 SPECFEM++ Project'
+    },
+    // Jenkins server the badges link to and are downloaded from; the history strip
+    // below each badge shows its job's last historyBuilds builds
+    jenkins: {
+        url: 'https://jenkins.princeton.edu',
+        historyBuilds: 20
+    },
+    // One card per group. Badges with a Jenkins `job` (folder/name) are
+    // downloaded by sync_benchmarks.sh to badges/<id>.svg and link to the job;
+    // others only show badges/<id>.svg and link to `href`. A card's badges are
+    // shown as out-of-sync when the last sync is older than `staleAfterHours`.
+    badgeGroups: [
+        {
+            title: 'Main Branch CI',
+            schedule: 'Updated weekly, Monday, 2 AM Eastern',
+            staleAfterHours: 7 * 24,
+            badges: [
+                { id: 'gnu_main', label: 'GCC (main)', job: 'SpecFEM_KOKKOS/GNU_main' },
+                { id: 'intel_main', label: 'IntelLLVM (main)', job: 'SpecFEM_KOKKOS/Intel_main' },
+                { id: 'nvidia_main', label: 'NVIDIA (main)', job: 'SpecFEM_KOKKOS/NVIDIA_main' }
+            ]
+        },
+        {
+            title: 'Devel Branch CI',
+            schedule: 'Updated weekly, nightly, 2 AM Eastern',
+            staleAfterHours: 24,
+            badges: [
+                { id: 'gnu_devel', label: 'GCC (devel)', job: 'SpecFEM_KOKKOS/GNU_devel' },
+                { id: 'intel_devel', label: 'IntelLLVM (devel)', job: 'SpecFEM_KOKKOS/Intel_devel' },
+                { id: 'nvidia_devel', label: 'NVIDIA (devel)', job: 'SpecFEM_KOKKOS/NVIDIA_devel' }
+            ]
+        },
+        {
+            title: 'Nightly Benchmarks Status',
+            schedule: 'Updated weekly, nightly, 2 AM Eastern',
+            staleAfterHours: 24,
+            badges: [
+                { id: 'nightly_benchmarks', label: 'Nightly Benchmarks', job: 'SpecFEM_KOKKOS/Nightly_Benchmarks' },
+                // Written by scripts/check_regressions.js
+                { id: 'nightly_perf', label: 'Nightly Performance', href: 'regressions.md' }
+            ]
+        }
+    ],
+    benchmarks: {
+        // GitHub repository (owner/name) the benchmarked commits belong to
+        sourceRepo: 'PrincetonUniversity/SPECFEMPP',
+        // Subplot columns per row on desktop (mobile always uses one)
+        columns: 2,
+        // One plot section per device class, in this order. The section label is
+        // `label`, followed by the device model from the newest run's
+        // metadata.hardware[modelField] (or the configured `model`) in parentheses.
+        // `manifest` lists the class's profiles (written by sync_benchmarks.sh)
+        // and is read when there is no benchmark index.
+        deviceClasses: {
+            cpu: { label: 'CPU', manifest: 'benchmarks_manifest_cpu.json' },
+            gpu: { label: 'GPU', model: 'H100', modelField: 'gpu_model', manifest: 'benchmarks_manifest_gpu.json' }
+        }
+    },
+    prMatrix: {
+        // GitHub repository (owner/name) whose open pull requests are listed
+        repo: 'PrincetonUniversity/SPECFEMPP',
+        // 'graphql' (one paginated query, needs a token) or 'rest' (two requests per PR, five with a token);
+        // without a token the REST loader is always used
+        loader: 'graphql',
+        // Reload the matrix every N minutes (0 = off); `#prrefresh=N` overrides it
+        refreshMinutes: 0,
+        // Snapshot written by scripts/fetch_pr_status.js, shown unless the visitor refreshes
+        // live with their own token ('' = always load live); flagged as out-of-sync after staleAfterHours
+        snapshot: {
+            file: 'pr_status.json',
+            staleAfterHours: 24
+        },
+        // Perf column: benchmark runs of a PR's head commit (or merge base) against the latest
+        // run on one of these branches; changes of at least thresholdPercent are colour-coded
+        perf: {
+            nightlyBranches: ['devel', 'main'],
+            thresholdPercent: 5
+        }
+    }
+};
+
+/**
+ * Recursively merge plain objects; arrays and scalars in `overrides` replace defaults
+ */
+function mergeConfig(defaults, overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return overrides === undefined ? defaults : overrides;
+    }
+    const merged = { ...defaults };
+    for (const [key, value] of Object.entries(overrides)) {
+        const base = defaults ? defaults[key] : undefined;
+        merged[key] = base && typeof base === 'object' && !Array.isArray(base)
+            ? mergeConfig(base, value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Fetch dashboard.config.json and merge it over the defaults
+ * @returns {Promise<Object>} - The effective configuration
+ */
+async function loadDashboardConfig(url = 'dashboard.config.json') {
+    try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const config = await response.json();
+        console.log(`Loaded dashboard configuration from ${url}`);
+        return mergeConfig(DEFAULT_DASHBOARD_CONFIG, config);
+    } catch (error) {
+        console.warn(`Could not load ${url}, using built-in defaults:`, error);
+        return DEFAULT_DASHBOARD_CONFIG;
+    }
+}
+
+// Loaded once per page; every caller shares the same promise
+let dashboardConfigPromise = null;
+
+/**
+ * Get the effective dashboard configuration
+ * @returns {Promise<Object>}
+ */
+function getDashboardConfig() {
+    if (!dashboardConfigPromise) {
+        dashboardConfigPromise = loadDashboardConfig();
+    }
+    return dashboardConfigPromise;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_DASHBOARD_CONFIG, mergeConfig };
+}
@@ -0,0 +1,106 @@
+/**
+ * Dashboard Layout
+ *
+ * Fills in the page title, section headings and footer and builds the badge
+ * cards from dashboard.config.json, so a fork or a second repository is set
+ * up by editing the config instead of index.html. The Jenkins URL helpers are
+ * shared with scripts/read_config.js, which tells sync_benchmarks.sh which
+ * badges to download, and scripts/fetch_jenkins_history.js.
+ */
+
+// Badges are considered out-of-sync after this long when a group sets no staleAfterHours
+const DEFAULT_STALE_AFTER_HOURS = 24;
+
+/**
+ * Page of a Jenkins job, e.g. "Folder/Job" -> ".../job/Folder/job/Job/"
+ * @param {string} jenkinsUrl - Base URL of the Jenkins server
+ * @param {string} job - Job path with folders separated by "/"
+ */
+function getJenkinsJobUrl(jenkinsUrl, job) {
+    const base = jenkinsUrl.replace(/\/+$/, '');
+    return `${base}/job/${job.split('/').map(encodeURIComponent).join('/job/')}/`;
+}
+
+/**
+ * Build status badge of a Jenkins job (embeddable-build-status plugin)
+ * @param {string} jenkinsUrl - Base URL of the Jenkins server
+ * @param {Object} badge - Badge config ({ job, label })
+ */
+function getJenkinsBadgeUrl(jenkinsUrl, badge) {
+    const base = jenkinsUrl.replace(/\/+$/, '');
+    return `${base}/buildStatus/icon?job=${encodeURIComponent(badge.job)}&build=last&subject=${encodeURIComponent(badge.label)}`;
+}
+
+/**
+ * JSON API URL of a job's last builds with result, timing and test counts
+ * @param {string} jenkinsUrl - Base URL of the Jenkins server
+ * @param {string} job - Job path with folders separated by "/"
+ * @param {number} count - Number of builds
+ */
+function getJenkinsApiUrl(jenkinsUrl, job, count) {
+    const tree = `builds[number,result,building,timestamp,duration,url,actions[failCount,skipCount,totalCount]]{0,${count}}`;
+    return `${getJenkinsJobUrl(jenkinsUrl, job)}api/json?tree=${encodeURIComponent(tree)}`;
+}
+
+/**
+ * Set the page title, section headings and footer
+ * @param {Object} page - page section of the dashboard config
+ */
+function renderPageText(page) {
+    document.title = page.title;
+    const texts = {
+        'dashboard-title': page.title,
+        'benchmarks-heading': page.headings.benchmarks,
+        'prs-heading': page.headings.pullRequests,
+        'dashboard-footer': page.footer
+    };
+    for (const [id, text] of Object.entries(texts)) {
+        const element = document.getElementById(id);
+        if (element && text) element.textContent = text;
+    }
+}
+
+/**
+ * Build one card per badge group
+ * @param {string} containerId - ID of the element holding the cards
+ * @param {Object} config - Dashboard config (badgeGroups, jenkins)
+ */
+function renderBadgeCards(containerId, config) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.innerHTML = html`${config.badgeGroups.map(group => {
+        const staleAfterHours = group.staleAfterHours || DEFAULT_STALE_AFTER_HOURS;
+        const badges = group.badges.map(badge => {
+            const href = safeURL(badge.job ? getJenkinsJobUrl(config.jenkins.url, badge.job) : badge.href);
+            const img = html`<img src="badges/${badge.id}.svg" alt="${badge.label}" data-stale-after-hours="${staleAfterHours}">`;
+            // Jenkins badges get their build history below (badge_loader.js)
+            return html`
+                <div class="badge-item">
+                    ${href ? html`<a href="${href}" target="_blank">${img}</a>` : img}
+                    ${badge.job && html`<div class="badge-history" data-badge-id="${badge.id}"></div>`}
+                </div>`;
+        });
+
+        return html`
+            <div class="card">
+                <h2>${group.title}</h2>
+                <div class="badge-container">${badges}</div>
+                ${group.schedule && html`<p class="update-info">${group.schedule}</p>`}
+            </div>
+        `;
+    })}`;
+}
+
+/**
+ * Render the configured page text and badge cards
+ */
+async function renderDashboardLayout() {
+    const config = await getDashboardConfig();
+    renderPageText(config.page);
+    renderBadgeCards('badge-cards', config);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getJenkinsJobUrl, getJenkinsBadgeUrl, getJenkinsApiUrl };
+}
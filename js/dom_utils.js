@@ -0,0 +1,138 @@
+/**
+ * Safe DOM Rendering Helpers
+ *
+ * Every panel that renders data from GitHub, CI or benchmark files builds its
+ * markup with these helpers instead of concatenating strings:
+ *   html`<td title="${check.name}">${pr.title}</td>`
+ * escapes every interpolated value for text and attribute context, while
+ * nested html`` results (and arrays of them) are inserted as markup, so
+ * templates compose without double escaping. createElement() builds single
+ * elements with text content when a template is overkill, and safeURL()
+ * keeps `javascript:` links out of href attributes. A PR titled
+ * `<img onerror=...>` or a check named `jenkins "gnu"` is shown verbatim.
+ * The duration and age formats shared by the badges and PR panels live here
+ * too, since this file loads before all of them.
+ */
+
+/**
+ * Markup produced by html`` (or explicitly trusted with rawHTML), inserted unescaped
+ */
+class SafeHTML {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Characters with a meaning in HTML text or quoted attributes
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @returns {string} - '' for null and undefined
+ */
+function escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Mark trusted markup (e.g. a constant string) for insertion without escaping
+ */
+function rawHTML(markup) {
+    return new SafeHTML(String(markup));
+}
+
+/**
+ * A URL that is safe in href/src attributes
+ * @returns {string|null} - The URL if it is http(s) or relative, else null (e.g. for javascript:)
+ */
+function safeURL(url) {
+    if (!url) return null;
+    const trimmed = String(url).trim();
+    const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || /^https?$/i.test(scheme[1]) ? trimmed : null;
+}
+
+/**
+ * Render one interpolated value: markup as is, arrays item by item, false/null as nothing
+ */
+function renderHTMLValue(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(renderHTMLValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+/**
+ * Tagged template that escapes its interpolated values
+ * @returns {SafeHTML} - Assign to innerHTML (it converts to a string) or nest in another html``
+ */
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, idx) => {
+        markup += renderHTMLValue(value) + strings[idx + 1];
+    });
+    return new SafeHTML(markup);
+}
+
+/**
+ * Build an element
+ * @param {string} tag - Tag name
+ * @param {Object} props - `className`, `text`, `dataset` (object), `on<event>` handlers;
+ *                         anything else is set as an attribute (skipped when null, undefined or false)
+ * @param {...(Node|string)} children - Appended in order; strings become text nodes
+ * @returns {HTMLElement}
+ */
+function createElement(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+    for (const [key, value] of Object.entries(props)) {
+        if (value === null || value === undefined || value === false) continue;
+        if (key === 'className') {
+            element.className = value;
+        } else if (key === 'text') {
+            element.textContent = value;
+        } else if (key === 'dataset') {
+            Object.assign(element.dataset, value);
+        } else if (key.startsWith('on') && typeof value === 'function') {
+            element.addEventListener(key.slice(2).toLowerCase(), value);
+        } else {
+            element.setAttribute(key, value === true ? '' : value);
+        }
+    }
+    element.append(...children.filter(child => child !== null && child !== undefined && child !== false));
+    return element;
+}
+
+/**
+ * Duration as "1h 5m", "3m 20s" or "45s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Age of a timestamp as "5h" or "12d"
+ */
+function formatAge(timestamp) {
+    const hours = Math.floor((Date.now() - Date.parse(timestamp)) / (60 * 60 * 1000));
+    return hours < 24 ? `${Math.max(hours, 0)}h` : `${Math.floor(hours / 24)}d`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHTML, escapeHTML, rawHTML, safeURL, html, createElement, formatDuration, formatAge };
+}
@@ -0,0 +1,330 @@
+/**
+ * GitHub API Client
+ *
+ * Shared by the PR views: adds the token (from token.js, or the one saved in
+ * the token settings dialog, see token_settings.js), follows `Link`
+ * pagination, runs GraphQL queries, limits the requests in flight, and tracks the
+ * `X-RateLimit-*` headers. When the remaining quota gets low, requests are
+ * spread out until the reset; rate-limited responses are retried with
+ * backoff. GET requests repeat the ETag of the previous response
+ * (`If-None-Match`), so unchanged data comes back as a free 304. The
+ * current quota is shown below the PR table. In Node (scripts/fetch_pr_status.js)
+ * the module is required and the token is read from `GITHUB_TOKEN`.
+ */
+
+const GITHUB_API_CONFIG = {
+    baseUrl: 'https://api.github.com',
+    perPage: 100,            // Maximum page size of the REST API
+    concurrency: 4,          // Requests in flight at once
+    lowQuotaThreshold: 50,   // Below this many remaining requests, slow down
+    maxBackoffDelay: 30000,  // Longest wait between requests while slowed down (ms)
+    maxRetries: 3,           // Retries of a rate-limited request
+    retryBaseDelay: 2000     // First retry delay, doubled on each retry (ms)
+};
+
+// Quota reported by the most recent response
+const githubRateLimit = {
+    limit: null,
+    remaining: null,
+    reset: null,   // Unix time in ms when the quota resets
+    resource: null // 'core' or 'graphql'
+};
+
+// ETag, body and Link header of the last response per GET URL, for conditional requests
+const githubResponseCache = new Map();
+
+// Requests that counted against the quota (everything except 304s)
+let githubRequestCount = 0;
+
+// Key of the token saved by the token settings dialog, in sessionStorage or localStorage
+const GITHUB_TOKEN_STORAGE_KEY = 'specfempp-dashboard:github-token';
+
+/**
+ * Sleep for a number of milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Browser storage areas a token can be saved in
+ * @returns {Object} - { session, local }, without the ones that are unavailable
+ */
+function getGitHubTokenStores() {
+    const stores = {};
+    // Reading the storage properties throws when the browser blocks site data
+    try {
+        if (typeof sessionStorage !== 'undefined') stores.session = sessionStorage;
+        if (typeof localStorage !== 'undefined') stores.local = localStorage;
+    } catch (error) {
+        console.warn('Browser storage unavailable, only token.js can provide a GitHub token:', error);
+    }
+    return stores;
+}
+
+/**
+ * Token for API requests; a token in token.js overrides the saved one
+ * @returns {{token: string|null, source: string|null}} - source is 'token.js', 'session', 'local',
+ *                                                      'env' (Node) or null (anonymous)
+ */
+function getGitHubToken() {
+    if (typeof TOKEN !== 'undefined' && TOKEN.GITHUB_TOKEN) {
+        return { token: TOKEN.GITHUB_TOKEN, source: 'token.js' };
+    }
+    if (typeof process !== 'undefined' && process.env && process.env.GITHUB_TOKEN) {
+        return { token: process.env.GITHUB_TOKEN, source: 'env' };
+    }
+    for (const [source, store] of Object.entries(getGitHubTokenStores())) {
+        const token = store.getItem(GITHUB_TOKEN_STORAGE_KEY);
+        if (token) return { token, source };
+    }
+    return { token: null, source: null };
+}
+
+/**
+ * Whether a token is saved in the browser (it may be overridden by token.js)
+ */
+function hasSavedGitHubToken() {
+    return Object.values(getGitHubTokenStores()).some(store => store.getItem(GITHUB_TOKEN_STORAGE_KEY));
+}
+
+/**
+ * Forget the quota and cached responses of the previous token
+ */
+function resetGitHubSession() {
+    githubResponseCache.clear();
+    githubRateLimit.limit = null;
+    githubRateLimit.remaining = null;
+    githubRateLimit.reset = null;
+    githubRateLimit.resource = null;
+}
+
+/**
+ * Save a token in the browser
+ * @param {string} token - Personal access token
+ * @param {boolean} remember - Keep it on this device (localStorage) instead of this tab only (sessionStorage)
+ */
+function saveGitHubToken(token, remember) {
+    const stores = getGitHubTokenStores();
+    const store = remember ? stores.local : stores.session;
+    if (!store) throw new Error('Browser storage is disabled, the token cannot be saved');
+
+    forgetGitHubToken();
+    store.setItem(GITHUB_TOKEN_STORAGE_KEY, token);
+}
+
+/**
+ * Remove the saved token from both storage areas (token.js is not affected)
+ */
+function forgetGitHubToken() {
+    for (const store of Object.values(getGitHubTokenStores())) {
+        store.removeItem(GITHUB_TOKEN_STORAGE_KEY);
+    }
+    resetGitHubSession();
+}
+
+/**
+ * Request headers, with the token when one is configured
+ */
+function getGitHubHeaders() {
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json'
+    };
+    const { token } = getGitHubToken();
+    if (token) {
+        headers['Authorization'] = `token ${token}`;
+    }
+    return headers;
+}
+
+/**
+ * Record the quota reported by a response
+ */
+function updateGitHubRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return;
+    githubRateLimit.limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+    githubRateLimit.remaining = parseInt(remaining, 10);
+    githubRateLimit.reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10) * 1000;
+    githubRateLimit.resource = response.headers.get('X-RateLimit-Resource') || 'core';
+    renderGitHubRateLimit();
+}
+
+/**
+ * Delay before the next request so the remaining quota lasts until the reset
+ * @returns {number} - Delay in ms (0 while the quota is comfortable)
+ */
+function getGitHubBackoffDelay() {
+    const { remaining, reset } = githubRateLimit;
+    if (remaining === null || remaining > GITHUB_API_CONFIG.lowQuotaThreshold) return 0;
+
+    const untilReset = Math.max(0, reset - Date.now());
+    if (remaining === 0) return untilReset;
+    return Math.min(untilReset / remaining, GITHUB_API_CONFIG.maxBackoffDelay);
+}
+
+/**
+ * Fetch a GitHub API URL, backing off when the quota is low or exhausted
+ * @param {string} url - Absolute URL or path below the API base URL
+ * @param {Object} options - fetch options; headers are merged over the defaults
+ * @returns {Promise<Response>} - The successful response
+ */
+async function githubFetch(url, options = {}) {
+    const fullUrl = url.startsWith('http') ? url : `${GITHUB_API_CONFIG.baseUrl}${url}`;
+
+    for (let attempt = 0; ; attempt++) {
+        const delay = getGitHubBackoffDelay();
+        if (delay > GITHUB_API_CONFIG.maxBackoffDelay) {
+            const resetTime = new Date(githubRateLimit.reset).toLocaleTimeString();
+            throw new Error(`GitHub API rate limit exhausted, resets at ${resetTime}`);
+        }
+        if (delay > 0) {
+            console.log(`GitHub API quota low (${githubRateLimit.remaining} left), waiting ${Math.round(delay)} ms`);
+            await sleep(delay);
+        }
+
+        const response = await fetch(fullUrl, {
+            ...options,
+            headers: { ...getGitHubHeaders(), ...options.headers }
+        });
+        updateGitHubRateLimit(response);
+        if (response.status !== 304) githubRequestCount++;
+
+        if (response.ok || response.status === 304) return response;
+
+        // Primary (remaining 0) or secondary (Retry-After) rate limit
+        const retryAfter = response.headers.get('Retry-After');
+        const rateLimited = (response.status === 403 || response.status === 429) &&
+            (retryAfter !== null || githubRateLimit.remaining === 0);
+        if (!rateLimited || attempt >= GITHUB_API_CONFIG.maxRetries) {
+            throw new Error(`GitHub API error: ${response.status}`);
+        }
+
+        const retryDelay = retryAfter !== null
+            ? parseInt(retryAfter, 10) * 1000
+            : GITHUB_API_CONFIG.retryBaseDelay * 2 ** attempt;
+        console.warn(`GitHub API rate limited (${response.status}), retrying in ${retryDelay} ms`);
+        await sleep(retryDelay);
+    }
+}
+
+/**
+ * Fetch and parse a GET endpoint, conditionally when it was fetched before
+ * @param {string} url - Absolute URL or path below the API base URL
+ * @returns {Promise<{data: *, link: string|null, notModified: boolean}>}
+ */
+async function githubFetchJSON(url) {
+    const cached = githubResponseCache.get(url);
+    // The conditional headers are set here, so the browser cache must not answer instead
+    const options = { cache: 'no-store' };
+    if (cached) options.headers = { 'If-None-Match': cached.etag };
+
+    const response = await githubFetch(url, options);
+    if (response.status === 304 && cached) {
+        return { data: cached.data, link: cached.link, notModified: true };
+    }
+
+    const data = await response.json();
+    const link = response.headers.get('Link');
+    const etag = response.headers.get('ETag');
+    if (etag) githubResponseCache.set(url, { etag, data, link });
+    return { data, link, notModified: false };
+}
+
+/**
+ * Parse a `Link` header into { rel: url }
+ */
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) return links;
+    for (const part of header.split(',')) {
+        const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+        if (match) links[match[2]] = match[1];
+    }
+    return links;
+}
+
+/**
+ * Fetch every page of a paginated endpoint
+ * @param {string} url - First page URL (per_page is added when missing)
+ * @param {Function} extract - Returns the items of one page's JSON body
+ * @returns {Promise<Array>} - Items of all pages
+ */
+async function fetchAllPages(url, extract = data => data) {
+    let nextUrl = url.includes('per_page=')
+        ? url
+        : `${url}${url.includes('?') ? '&' : '?'}per_page=${GITHUB_API_CONFIG.perPage}`;
+    const items = [];
+
+    while (nextUrl) {
+        const { data, link } = await githubFetchJSON(nextUrl);
+        items.push(...extract(data));
+        nextUrl = parseLinkHeader(link).next || null;
+    }
+    return items;
+}
+
+/**
+ * Run a GraphQL query
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} - The `data` of the response
+ */
+async function githubGraphQL(query, variables = {}) {
+    const response = await githubFetch('/graphql', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables })
+    });
+    const result = await response.json();
+    if (result.errors && result.errors.length > 0) {
+        throw new Error(`GitHub GraphQL error: ${result.errors.map(error => error.message).join('; ')}`);
+    }
+    return result.data;
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const idx = next++;
+            results[idx] = await fn(items[idx], idx);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Show the remaining quota and reset time
+ * @param {string} containerId - ID of the status element
+ */
+function renderGitHubRateLimit(containerId = 'github-rate-limit') {
+    if (typeof document === 'undefined') return;
+    const container = document.getElementById(containerId);
+    if (!container || githubRateLimit.remaining === null) return;
+
+    const { limit, remaining, reset, resource } = githubRateLimit;
+    const resetTime = new Date(reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    container.textContent = `GitHub API quota (${resource}): ${remaining} of ${limit} requests left, resets at ${resetTime}`;
+    container.classList.toggle('rate-limit-low', remaining <= GITHUB_API_CONFIG.lowQuotaThreshold);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GITHUB_API_CONFIG,
+        githubRateLimit,
+        getGitHubToken,
+        githubFetch,
+        githubFetchJSON,
+        fetchAllPages,
+        githubGraphQL,
+        mapWithConcurrency
+    };
+}
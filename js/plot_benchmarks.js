@@ -2,37 +2,84 @@
  * SPECFEM++ Benchmark Plotting with Plotly.js
  * 
  * Fetches benchmark JSON files from the server and creates interactive
- * stacked bar charts showing execution time by region with date range sliders.
+ * charts showing execution time by region with date range sliders
+ * (stacked bars, per-region lines, percent-of-total or log scale).
  * 
  * Version: 2.0 - Removed total time labels
  */
 
-/**
- * Parse ISO timestamp string to Date object
- * Treats timestamps without timezone as UTC to avoid local timezone shifts
- */
-function parseTimestamp(timestampStr) {
-    // If timestamp doesn't have a timezone indicator, treat it as UTC
-    if (!timestampStr.includes('Z') && !timestampStr.includes('+') && !timestampStr.includes('-', 10)) {
-        timestampStr += 'Z';
-    }
-    return new Date(timestampStr);
-}
+// Available chart modes (all drawn from the same per-region daily aggregation)
+const BENCHMARK_CHART_MODES = {
+    'stack': 'Stacked bars',
+    'lines': 'Lines per region',
+    'share': '% of total',
+    'log': 'Log scale'
+};
+
+// Bar patterns and line dashes distinguishing hardware fingerprints (first machine is plain)
+const HARDWARE_PATTERNS = ['', '/', 'x', '.', '\\', '+', '-', '|'];
+const HARDWARE_DASHES = ['solid', 'dash', 'dot', 'dashdot', 'longdash', 'longdashdot'];
+
+// Fraction of a day covered by the bars of one date
+const BAR_WIDTH_FRACTION = 0.8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Current view options of the benchmark figure
+const benchmarkViewState = {
+    chartMode: 'stack',
+    hardwareFilter: 'all',    // 'all' or a hardware fingerprint
+    dateRange: null,          // [start, end] Plotly date strings of the shared x axis, null = all
+    hiddenRegions: [],        // Regions switched off in the legend
+    selectedBenchmarks: null  // Prefixed benchmark names to plot, null = all
+};
+
+// Figure drawn last (its series are what the export downloads)
+let lastBenchmarkFigure = null;
+
+// Benchmark groups per device class ({ cpu: {...}, gpu: {...} }) from the last
+// successful load, reused when only the view changes
+let loadedBenchmarkGroups = null;
+
+// Prefixed benchmark name -> hardware fingerprint -> daily aggregate of its series file
+// (empty when the runs were loaded through the manifests)
+let indexedDailyAggregates = {};
+
+// Benchmark settings from dashboard.config.json (see dashboard_config.js)
+let benchmarkConfig = null;
+
+// Prefixed benchmark name -> { deviceClass, baseName, deviceLabel }
+const benchmarkInfo = {};
 
 /**
- * Fetch and parse a JSON file
+ * Fetch and parse a JSON file, telling fetch and parse failures apart
+ * @returns {Promise<{data: *, stage?: string, reason?: string}>} - data is null on failure
  */
-async function fetchJSON(url) {
+async function fetchJSONResult(url) {
+    let text;
     try {
         const response = await fetch(url);
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        return await response.json();
+        text = await response.text();
     } catch (error) {
         console.warn(`Failed to fetch ${url}:`, error);
-        return null;
+        return { data: null, stage: 'fetch', reason: error.message };
+    }
+    try {
+        return { data: JSON.parse(text) };
+    } catch (error) {
+        console.warn(`Failed to parse ${url}:`, error);
+        return { data: null, stage: 'parse', reason: error.message };
     }
 }
 
+/**
+ * Fetch and parse a JSON file
+ * @returns {Promise<*>} - Parsed JSON, or null on any failure
+ */
+async function fetchJSON(url) {
+    return (await fetchJSONResult(url)).data;
+}
+
 /**
  * Discover benchmark JSON files (requires server directory listing or manifest)
  * For static hosting, you'll need to provide a manifest.json listing the files
@@ -41,13 +88,17 @@ async function discoverBenchmarkFiles(manifestFile) {
     // Try to fetch a manifest file that lists all benchmark files
     try {
         console.log(`Attempting to fetch ${manifestFile}...`);
-        const manifest = await fetchJSON(manifestFile);
+        const { data: manifest, stage, reason } = await fetchJSONResult(manifestFile);
         console.log(`Manifest fetched from ${manifestFile}:`, manifest);
         if (manifest && manifest.files) {
             console.log(`Found ${manifest.files.length} files in manifest`);
+            recordBenchmarkSource(manifestFile, manifest.updated, manifest.files.length);
             return manifest.files;
-        } else {
+        } else if (manifest) {
             console.warn('Manifest exists but has no files array');
+            recordBenchmarkFailure(manifestFile, 'validate', 'manifest has no files array');
+        } else {
+            recordBenchmarkFailure(manifestFile, stage, reason);
         }
     } catch (e) {
         console.error(`Error fetching manifest ${manifestFile}:`, e);
@@ -59,277 +110,529 @@ async function discoverBenchmarkFiles(manifestFile) {
 }
 
 /**
- * Group benchmark files by benchmark name with optional prefix
+ * Generate a color for a region (consistent hashing)
  */
-function groupFilesByBenchmark(benchmarkData, prefix = '') {
-    const groups = {};
+function getRegionColor(region, index) {
+    const hue = (index * 137.508) % 360; // Golden angle
+    return `hsla(${hue}, 70%, 60%, 0.8)`;
+}
+
+/**
+ * Collect all hardware fingerprints, oldest first
+ * @returns {Object[]} - [{ key, label }]
+ */
+function collectHardwareFingerprints(benchmarkGroups) {
+    const firstSeen = {};
+    const labels = {};
+    for (const files of Object.values(benchmarkGroups)) {
+        for (const data of files) {
+            const hardware = data.metadata.hardware || {};
+            const key = getHardwareFingerprint(hardware);
+            const time = parseTimestamp(data.metadata.timestamp).getTime();
+            if (!(key in firstSeen) || time < firstSeen[key]) {
+                firstSeen[key] = time;
+                labels[key] = getHardwareLabel(hardware);
+            }
+        }
+    }
+    return Object.keys(firstSeen)
+        .sort((a, b) => firstSeen[a] - firstSeen[b])
+        .map(key => ({ key, label: labels[key] }));
+}
+
+/**
+ * Keep only the runs made on one hardware fingerprint, dropping empty benchmarks
+ */
+function filterGroupsByHardware(benchmarkGroups, fingerprint) {
+    if (fingerprint === 'all') return benchmarkGroups;
+    const filtered = {};
+    for (const [name, files] of Object.entries(benchmarkGroups)) {
+        const matching = files.filter(data => getHardwareFingerprint(data.metadata.hardware) === fingerprint);
+        if (matching.length > 0) filtered[name] = matching;
+    }
+    return filtered;
+}
+
+/**
+ * Format a millisecond timestamp as a Plotly date string
+ */
+function toPlotlyDate(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').replace('Z', '');
+}
+
+/**
+ * Place the bars of different machines side by side on days they share
+ *
+ * Plotly cannot combine stacked and grouped bars, so every hardware series
+ * gets explicit bar positions and widths: a day with k machines is split
+ * into k narrower stacks instead of stacking the machines on top of each other.
+ */
+function assignBarPositions(hardwareSeries) {
+    if (hardwareSeries.length < 2) return;
     
-    for (const data of benchmarkData) {
-        if (!data || !data.metadata) continue;
-        const name = prefix + data.metadata.benchmark_name;
-        if (!groups[name]) {
-            groups[name] = [];
+    const keysPerDate = {};
+    hardwareSeries.forEach(({ key, series }) => {
+        series.dates.forEach(dateStr => {
+            if (!keysPerDate[dateStr]) keysPerDate[dateStr] = [];
+            keysPerDate[dateStr].push(key);
+        });
+    });
+    
+    hardwareSeries.forEach(({ key, series }) => {
+        series.barX = [];
+        series.barWidth = [];
+        series.dates.forEach(dateStr => {
+            const keys = keysPerDate[dateStr];
+            const slot = keys.indexOf(key);
+            const offset = ((slot + 0.5) / keys.length - 0.5) * BAR_WIDTH_FRACTION * DAY_MS;
+            series.barX.push(keys.length === 1 ? dateStr : toPlotlyDate(Date.parse(dateStr) + offset));
+            series.barWidth.push(BAR_WIDTH_FRACTION * DAY_MS / keys.length);
+        });
+    });
+}
+
+/**
+ * Find the days on which the set of machines behind a benchmark changed
+ * @returns {Object[]} - [{ date, labels }] for every change after the first day
+ */
+function findHardwareChanges(hardwareSeries, hardwareLabels) {
+    const keysPerDate = {};
+    hardwareSeries.forEach(({ key, series }) => {
+        series.dates.forEach(dateStr => {
+            if (!keysPerDate[dateStr]) keysPerDate[dateStr] = [];
+            keysPerDate[dateStr].push(key);
+        });
+    });
+    
+    const changes = [];
+    let previous = null;
+    Object.keys(keysPerDate).sort().forEach(dateStr => {
+        const keys = keysPerDate[dateStr].sort();
+        const signature = keys.join('\n');
+        if (previous !== null && signature !== previous) {
+            changes.push({ date: dateStr, labels: keys.map(key => hardwareLabels[key]) });
+        }
+        previous = signature;
+    });
+    return changes;
+}
+
+/**
+ * Label of the device a benchmark ran on, e.g. "GPU (H100)"
+ *
+ * The model comes from the newest run's metadata.hardware[modelField] when
+ * present, so a hardware upgrade relabels the section; otherwise from the
+ * configured model.
+ */
+function getDeviceLabel(deviceClass, files, deviceConfig = {}) {
+    const label = deviceConfig.label || deviceClass.toUpperCase();
+    let model = deviceConfig.model || null;
+    if (deviceConfig.modelField && files.length > 0) {
+        const newest = files.reduce((a, b) =>
+            parseTimestamp(a.metadata.timestamp) >= parseTimestamp(b.metadata.timestamp) ? a : b);
+        model = newest.metadata.hardware?.[deviceConfig.modelField] || model;
+    }
+    return model ? `${label} (${model})` : label;
+}
+
+/**
+ * Record device class, base name and device label of every loaded benchmark
+ * @param {Object} deviceGroups - Device class -> prefixed benchmark name -> profiles
+ * @param {Object} deviceClassConfig - benchmarks.deviceClasses from the dashboard config
+ */
+function registerBenchmarkDevices(deviceGroups, deviceClassConfig = {}) {
+    for (const [deviceClass, groups] of Object.entries(deviceGroups)) {
+        for (const [name, files] of Object.entries(groups)) {
+            benchmarkInfo[name] = {
+                deviceClass,
+                baseName: files[0].metadata.benchmark_name,
+                deviceLabel: getDeviceLabel(deviceClass, files, deviceClassConfig[deviceClass])
+            };
         }
-        groups[name].push(data);
     }
+}
+
+/**
+ * Merge the per-device-class groups into one prefixed name -> profiles map
+ */
+function flattenDeviceGroups(deviceGroups) {
+    return Object.assign({}, ...Object.values(deviceGroups));
+}
+
+/**
+ * Readable benchmark name without device prefix, e.g. "Elastic Wave"
+ */
+function formatBenchmarkName(benchmarkName) {
+    const baseName = benchmarkInfo[benchmarkName]?.baseName || benchmarkName.replace(/^[^_]+_/, '');
+    return baseName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+/**
+ * Build a readable title from a prefixed benchmark name
+ * e.g. "GPU_elastic_wave" -> "GPU (H100): Elastic Wave"
+ */
+function getBenchmarkDisplayName(benchmarkName) {
+    const deviceLabel = benchmarkInfo[benchmarkName]?.deviceLabel || benchmarkName.split('_')[0];
+    return `${deviceLabel}: ${formatBenchmarkName(benchmarkName)}`;
+}
+
+/**
+ * Group benchmarks into one plot section per device label, in device class order
+ * @returns {Object[]} - [{ label, names }]
+ */
+function buildBenchmarkSections(deviceGroups) {
+    const sections = [];
+    for (const [deviceClass, groups] of Object.entries(deviceGroups)) {
+        for (const name of Object.keys(groups)) {
+            const label = benchmarkInfo[name]?.deviceLabel || deviceClass.toUpperCase();
+            let section = sections.find(s => s.label === label);
+            if (!section) {
+                section = { label, names: [] };
+                sections.push(section);
+            }
+            section.names.push(name);
+        }
+    }
+    return sections;
+}
+
+/**
+ * Compute subplot domains and figure height for any number of sections and benchmarks
+ *
+ * Each section starts on a new row with a heading; its benchmarks fill rows of
+ * `cols` subplots. Sizes are planned in pixels and converted to paper fractions.
+ *
+ * @returns {Object} - { height, plotAreaHeight, margin, cells: { name: { x, y } }, headers: [{ label, y }] }
+ */
+function planSubplotGrid(sections, cols, isMobile) {
+    const margin = { t: 100, b: 60, l: 60, r: 40 };
+    const headerHeight = 40;                  // Section heading
+    const rowHeight = isMobile ? 500 : 450;   // Per subplot row incl. title, range slider and axis title
+    const titleSpace = 45;                    // Subplot title above the plot
+    const plotHeight = rowHeight * 0.55;      // Plot area itself; the rest holds the range slider
+    const colGap = 0.08;
+    const colWidth = (1 - colGap * (cols - 1)) / cols;
+    
+    const plotAreaHeight = sections.reduce(
+        (sum, section) => sum + headerHeight + Math.ceil(section.names.length / cols) * rowHeight, 0);
+    const toPaper = px => 1 - px / plotAreaHeight;
     
-    return groups;
+    const cells = {};
+    const headers = [];
+    let top = 0;
+    sections.forEach(section => {
+        headers.push({ label: section.label, y: toPaper(top) });
+        top += headerHeight;
+        section.names.forEach((name, i) => {
+            const row = Math.floor(i / cols);
+            const col = i % cols;
+            const plotTop = top + row * rowHeight + titleSpace;
+            cells[name] = {
+                x: [col * (colWidth + colGap), col * (colWidth + colGap) + colWidth],
+                y: [toPaper(plotTop + plotHeight), toPaper(plotTop)]
+            };
+        });
+        top += Math.ceil(section.names.length / cols) * rowHeight;
+    });
+    
+    return {
+        height: plotAreaHeight + margin.t + margin.b,
+        plotAreaHeight,
+        margin,
+        cells,
+        headers
+    };
 }
 
 /**
- * Generate a color for a region (consistent hashing)
+ * Build the region traces of one subplot for the given chart mode
+ *
+ * - stack: stacked bars (barmode 'stack')
+ * - lines: one line per region
+ * - share: 100%-normalized stacked area of each region's share of total_execution_time
+ * - log:   one line per region on a log-scale y axis
+ *
+ * @param {Object} series - Output of aggregateBenchmarkSeries
+ * @param {string[]} regionList - All regions, in legend order
+ * @param {Object} colorMap - Region -> color
+ * @param {string} chartMode - One of BENCHMARK_CHART_MODES
+ * @param {Object} subplot - { benchmark, hardwareKey, xaxis, yaxis, showlegend, stackgroup, hardwareIdx, hiddenRegions }
+ * @returns {Object[]} - Plotly traces
  */
-function getRegionColor(region, index) {
-    const hue = (index * 137.508) % 360; // Golden angle
-    return `hsla(${hue}, 70%, 60%, 0.8)`;
+function buildRegionTraces(series, regionList, colorMap, chartMode, subplot) {
+    const { dates, totals, regionData, regionHoverText } = series;
+    const hardwareIdx = subplot.hardwareIdx || 0;
+    const hiddenRegions = subplot.hiddenRegions || [];
+    
+    return regionList.map(region => {
+        const trace = {
+            x: dates,
+            name: region,
+            legendgroup: region,
+            showlegend: subplot.showlegend,
+            visible: hiddenRegions.includes(region) ? 'legendonly' : true,
+            text: regionHoverText[region],
+            // Identifies the clicked bar/point for the commit panel
+            customdata: dates.map(dateStr => [subplot.benchmark, dateStr, subplot.hardwareKey]),
+            hovertemplate: '%{text}<extra></extra>',
+            xaxis: subplot.xaxis,
+            yaxis: subplot.yaxis
+        };
+        
+        if (chartMode === 'stack') {
+            return {
+                ...trace,
+                x: series.barX || dates,
+                width: series.barWidth,
+                y: regionData[region],
+                type: 'bar',
+                marker: {
+                    color: colorMap[region],
+                    pattern: { shape: HARDWARE_PATTERNS[hardwareIdx % HARDWARE_PATTERNS.length] }
+                },
+                textposition: 'none'
+            };
+        }
+        
+        if (chartMode === 'share') {
+            // Share of the total execution time; fall back to the region sum if no total was recorded
+            const shares = dates.map((dateStr, dateIdx) => {
+                const total = totals[dateIdx] ||
+                    regionList.reduce((sum, r) => sum + regionData[r][dateIdx], 0);
+                return total > 0 ? regionData[region][dateIdx] / total * 100 : 0;
+            });
+            return {
+                ...trace,
+                y: shares,
+                type: 'scatter',
+                mode: 'lines',
+                stackgroup: subplot.stackgroup,
+                line: { color: colorMap[region], width: 0.5, dash: HARDWARE_DASHES[hardwareIdx % HARDWARE_DASHES.length] },
+                fillcolor: colorMap[region],
+                hovertemplate: '%{text}<br><b>Share:</b> %{y:.1f}%<extra></extra>'
+            };
+        }
+        
+        // 'lines' and 'log': days without a measurement are gaps, not zeros
+        return {
+            ...trace,
+            y: regionData[region].map(value => value > 0 ? value : null),
+            type: 'scatter',
+            mode: 'lines+markers',
+            connectgaps: true,
+            line: { color: colorMap[region], width: 2, dash: HARDWARE_DASHES[hardwareIdx % HARDWARE_DASHES.length] },
+            marker: { color: colorMap[region], size: 5 }
+        };
+    });
+}
+
+/**
+ * Y position of a regression marker on a flagged day for the given chart mode
+ */
+function getRegressionMarkerY(series, regionList, dateIdx, flaggedRegions, chartMode) {
+    if (chartMode === 'share') return 100;
+    if (chartMode === 'stack') {
+        // Just above the top of the stacked bar
+        return regionList.reduce((sum, region) => sum + series.regionData[region][dateIdx], 0) * 1.05;
+    }
+    // Just above the highest flagged region line
+    return Math.max(...flaggedRegions.map(region => series.regionData[region][dateIdx])) * 1.1;
 }
 
 /**
  * Create Plotly figure from benchmark groups
+ * @param {Object} deviceGroups - Device class -> prefixed benchmark name -> profiles
+ * @param {Object} options - View options, e.g. { chartMode: 'lines', columns: 2, hiddenRegions: ['io'] }
  */
-function createPlotlyFigure(cpuBenchmarkGroups, gpuBenchmarkGroups) {
-    const cpuNames = Object.keys(cpuBenchmarkGroups);
-    const gpuNames = Object.keys(gpuBenchmarkGroups);
-    const numCpuBenchmarks = cpuNames.length;
-    const numGpuBenchmarks = gpuNames.length;
+function createPlotlyFigure(deviceGroups, options = {}) {
+    const chartMode = options.chartMode || 'stack';
     
-    if (numCpuBenchmarks === 0 && numGpuBenchmarks === 0) {
+    // One section per device class (label), each with any number of benchmarks
+    const sections = buildBenchmarkSections(deviceGroups);
+    const allBenchmarkNames = sections.flatMap(section => section.names);
+    const benchmarkGroups = flattenDeviceGroups(deviceGroups);
+    
+    if (allBenchmarkNames.length === 0) {
         return null;
     }
     
-    // Responsive layout: 1 column on mobile (<768px), 2 columns on desktop
-    // Desktop: 2x2 grid (top row CPU, bottom row GPU)
-    // Mobile: stacked vertically
+    // Responsive layout: 1 column on mobile (<768px), configured columns on desktop
     const isMobile = window.innerWidth < 768;
-    const cols = isMobile ? 1 : 2;
-    const rows = isMobile ? (numCpuBenchmarks + numGpuBenchmarks) : 2;
-    
-    // Combine all benchmark names in order: CPU benchmarks first, then GPU benchmarks
-    const allBenchmarkNames = [...cpuNames, ...gpuNames];
-    const benchmarkTypes = [...cpuNames.map(() => 'CPU'), ...gpuNames.map(() => 'GPU')];
-    const benchmarkGroups = { ...cpuBenchmarkGroups, ...gpuBenchmarkGroups };
+    const cols = isMobile ? 1 : (options.columns || 2);
+    const grid = planSubplotGrid(sections, cols, isMobile);
     
     // Collect all unique regions for consistent coloring
-    const allRegions = new Set();
-    for (const files of Object.values(benchmarkGroups)) {
-        for (const data of files) {
-            if (data.regions) {
-                data.regions.forEach(r => allRegions.add(r.region));
-            }
-        }
-    }
-    const regionList = Array.from(allRegions).sort();
+    const regionList = collectRegions(Object.values(benchmarkGroups).flat());
     const colorMap = {};
     regionList.forEach((region, idx) => {
         colorMap[region] = getRegionColor(region, idx);
     });
     
+    // Index hardware fingerprints so each machine keeps the same pattern in every subplot
+    const hardwareFingerprints = collectHardwareFingerprints(benchmarkGroups);
+    const hardwareIndex = {};
+    const hardwareLabels = {};
+    hardwareFingerprints.forEach(({ key, label }, hwIdx) => {
+        hardwareIndex[key] = hwIdx;
+        hardwareLabels[key] = label;
+    });
+    
     // Create traces
     const traces = [];
     const annotations = [];
+    const shapes = [];
+    const regressions = [];
+    const seriesByBenchmark = {}; // Prefixed benchmark name -> per-machine series, for export
+    let regressionLegendShown = false;
     
     allBenchmarkNames.forEach((benchmarkName, idx) => {
         const files = benchmarkGroups[benchmarkName];
-        const benchmarkType = benchmarkTypes[idx];
         
-        // Collect and sort data by date
-        const dataPoints = files.map(data => ({
-            date: parseTimestamp(data.metadata.timestamp),
-            total: data.metadata.total_execution_time || 0,
-            regions: data.regions || [],
-            hardware: data.metadata.hardware || {},
-            git_commit: data.metadata.git_commit || null
-        })).sort((a, b) => a.date - b.date);
-        
-        // Group by date and average measurements for the same day
-        const dateGroups = {};
-        dataPoints.forEach(dp => {
-            const dateStr = dp.date.toISOString().split('T')[0];
-            if (!dateGroups[dateStr]) {
-                dateGroups[dateStr] = [];
-            }
-            dateGroups[dateStr].push(dp);
-        });
+        const xaxis = idx === 0 ? 'x' : `x${idx + 1}`;
+        const yaxis = idx === 0 ? 'y' : `y${idx + 1}`;
         
-        // Average measurements for each date
-        const dates = Object.keys(dateGroups).sort();
-        const totals = dates.map(dateStr => {
-            const points = dateGroups[dateStr];
-            const avgTotal = points.reduce((sum, p) => sum + p.total, 0) / points.length;
-            return avgTotal;
-        });
+        // Aggregate each machine separately so runs on different hardware are never averaged
+        // together; the same aggregation drives every chart mode
+        const dailyByHardware = indexedDailyAggregates[benchmarkName] || {};
+        const hardwareSeries = splitFilesByHardware(files).map(({ key, files: hwFiles }) => ({
+            key,
+            hardwareIdx: hardwareIndex[key],
+            series: aggregateBenchmarkSeries(hwFiles, regionList, dailyByHardware[key] || null)
+        }));
+        assignBarPositions(hardwareSeries);
+        seriesByBenchmark[benchmarkName] = hardwareSeries;
         
-        // Build region data with averaging and track individual measurements for hover
-        const regionData = {};
-        const regionHoverText = {};
-        const regionCustomData = {};
-        regionList.forEach(region => {
-            regionData[region] = new Array(dates.length).fill(0);
-            regionHoverText[region] = new Array(dates.length).fill('');
-            regionCustomData[region] = new Array(dates.length).fill(null);
-        });
+        const markers = { x: [], y: [], text: [] };
         
-        dates.forEach((dateStr, dateIdx) => {
-            const points = dateGroups[dateStr];
-            const regionSums = {};
-            const regionCounts = {};
-            const regionValues = {};
-            const regionTimestamps = {};
-            const hardwareInfo = {};
+        hardwareSeries.forEach(({ key, hardwareIdx, series }, seriesIdx) => {
+            const { dates, dateCommits, regionData } = series;
             
-            // Sum up region times across all measurements on this date
-            points.forEach(dp => {
-                const timeStr = dp.date.toISOString().split('T')[1].substring(0, 5); // HH:MM
-                dp.regions.forEach(r => {
-                    if (!regionSums[r.region]) {
-                        regionSums[r.region] = 0;
-                        regionCounts[r.region] = 0;
-                        regionValues[r.region] = [];
-                        regionTimestamps[r.region] = [];
-                        hardwareInfo[r.region] = [];
-                    }
-                    regionSums[r.region] += r.time;
-                    regionCounts[r.region]++;
-                    regionValues[r.region].push(r.time);
-                    regionTimestamps[r.region].push({ 
-                        time: timeStr, 
-                        value: r.time,
-                        hardware: dp.hardware,
-                        git_commit: dp.git_commit
-                    });
+            // Add trace for each region
+            traces.push(...buildRegionTraces(series, regionList, colorMap, chartMode, {
+                benchmark: benchmarkName,
+                hardwareKey: key,
+                xaxis: xaxis,
+                yaxis: yaxis,
+                showlegend: idx === 0 && seriesIdx === 0, // Only show legend for first subplot
+                stackgroup: `share${idx + 1}-${hardwareIdx}`,
+                hardwareIdx: hardwareIdx,
+                hiddenRegions: options.hiddenRegions
+            }));
+            
+            // Check each region series against its rolling baseline (per machine, so a
+            // hardware swap is never reported as a regression)
+            const seriesRegressions = [];
+            regionList.forEach(region => {
+                detectSeriesRegressions(dates, regionData[region], dateCommits).forEach(r => {
+                    seriesRegressions.push({ ...r, benchmark: benchmarkName, region, hardware: hardwareLabels[key] });
                 });
             });
+            regressions.push(...seriesRegressions);
             
-            // Calculate averages and build hover text
-            Object.keys(regionSums).forEach(region => {
-                if (regionData[region] !== undefined) {
-                    const avg = regionSums[region] / regionCounts[region];
-                    regionData[region][dateIdx] = avg;
-                    
-                    // Store all git commit hashes for click handling
-                    const commitHashes = regionTimestamps[region]
-                        .map(m => m.git_commit?.hash)
-                        .filter(hash => hash !== undefined && hash !== null);
-                    if (commitHashes.length > 0) {
-                        // Remove duplicates
-                        regionCustomData[region][dateIdx] = [...new Set(commitHashes)];
-                    }
-                    
-                    // Build hover text showing individual measurements if multiple
-                    if (regionCounts[region] > 1) {
-                        // Sort by timestamp
-                        const sortedMeasurements = regionTimestamps[region]
-                            .sort((a, b) => a.time.localeCompare(b.time));
-                        
-                        const measurements = sortedMeasurements
-                            .map((m, i) => {
-                                const hw = m.hardware;
-                                let hwItems = [];
-                                if (hw.architecture) hwItems.push(`• Architecture: ${hw.architecture}`);
-                                if (hw.cpu_model) hwItems.push(`• CPU: ${hw.cpu_model}`);
-                                if (hw.cpu_max_mhz) hwItems.push(`• Max Freq: ${hw.cpu_max_mhz} MHz`);
-                                
-                                // Add git commit info if available
-                                if (m.git_commit && m.git_commit.hash) {
-                                    const shortHash = m.git_commit.hash.substring(0, 7);
-                                    hwItems.push(`• Commit: ${shortHash}`);
-                                    if (m.git_commit.message) {
-                                        // Truncate long commit messages
-                                        const msg = m.git_commit.message.length > 50 
-                                            ? m.git_commit.message.substring(0, 47) + '...' 
-                                            : m.git_commit.message;
-                                        hwItems.push(`  ${msg}`);
-                                    }
-                                    hwItems.push(`  <i>(Click bar to view commit)</i>`);
-                                }
-                                
-                                const hwInfo = hwItems.length > 0 ? '<br>' + hwItems.join('<br>') : '';
-                                return `<b>${m.time}</b>: ${m.value.toFixed(2)}s${hwInfo}`;
-                            })
-                            .join('<br><br>');
-                        regionHoverText[region][dateIdx] = 
-                            `<b>${dateStr}</b><br>` +
-                            `<b>${region}</b><br>` +
-                            `<b>Average:</b> ${avg.toFixed(2)}s<br>` +
-                            `<b>(${regionCounts[region]} measurements)</b><br><br>` +
-                            measurements;
-                    } else {
-                        const hw = regionTimestamps[region][0].hardware;
-                        const git = regionTimestamps[region][0].git_commit;
-                        let hwItems = [];
-                        if (hw.architecture) hwItems.push(`• Architecture: ${hw.architecture}`);
-                        if (hw.cpu_model) hwItems.push(`• CPU: ${hw.cpu_model}`);
-                        if (hw.cpu_max_mhz) hwItems.push(`• Max Freq: ${hw.cpu_max_mhz} MHz`);
-                        
-                        // Add git commit info if available
-                        if (git && git.hash) {
-                            const shortHash = git.hash.substring(0, 7);
-                            hwItems.push(`• Commit: ${shortHash}`);
-                            if (git.message) {
-                                // Truncate long commit messages
-                                const msg = git.message.length > 50 
-                                    ? git.message.substring(0, 47) + '...' 
-                                    : git.message;
-                                hwItems.push(`  ${msg}`);
-                            }
-                            hwItems.push(`  <i>(Click bar to view commit)</i>`);
-                        }
-                        
-                        const hwInfo = hwItems.length > 0 ? '<br>' + hwItems.join('<br>') : '';
-                        regionHoverText[region][dateIdx] = 
-                            `<b>${dateStr}</b><br>` +
-                            `<b>${region}</b><br>` +
-                            `<b>Time:</b> ${avg.toFixed(2)}s${hwInfo}`;
-                    }
-                }
+            // Mark flagged days above the data
+            const flaggedDays = {};
+            seriesRegressions.forEach(r => {
+                r.dates.forEach(dateStr => {
+                    if (!flaggedDays[dateStr]) flaggedDays[dateStr] = [];
+                    flaggedDays[dateStr].push(r);
+                });
+            });
+            Object.keys(flaggedDays).sort().forEach(dateStr => {
+                const dateIdx = dates.indexOf(dateStr);
+                markers.x.push(chartMode === 'stack' && series.barX ? series.barX[dateIdx] : dateStr);
+                markers.y.push(getRegressionMarkerY(
+                    series, regionList, dateIdx, flaggedDays[dateStr].map(r => r.region), chartMode
+                ));
+                markers.text.push(
+                    `<b>${dateStr}</b><br><b>Possible regression</b><br>` +
+                    flaggedDays[dateStr]
+                        .map(r => `• ${r.region}: +${r.percentChange.toFixed(1)}% vs ${r.baseline.toFixed(2)}s baseline`)
+                        .join('<br>')
+                );
             });
         });
         
-        // Subplot position (1-indexed)
-        // Desktop: 2x2 layout (CPU benchmarks on row 1, GPU benchmarks on row 2)
-        // Mobile: stacked vertically
-        let row, col;
-        if (isMobile) {
-            row = idx + 1;
-            col = 1;
-        } else {
-            // First two benchmarks (CPU) go on row 1, next two (GPU) go on row 2
-            row = Math.floor(idx / 2) + 1;
-            col = (idx % 2) + 1;
-        }
-        
-        const xaxis = idx === 0 ? 'x' : `x${idx + 1}`;
-        const yaxis = idx === 0 ? 'y' : `y${idx + 1}`;
-        
-        // Add trace for each region
-        regionList.forEach((region, regionIdx) => {
+        if (markers.x.length > 0) {
             traces.push({
-                x: dates,
-                y: regionData[region],
-                name: region,
-                type: 'bar',
-                marker: { color: colorMap[region] },
-                legendgroup: region,
-                showlegend: idx === 0, // Only show legend for first subplot
-                text: regionHoverText[region],
-                customdata: regionCustomData[region],
+                x: markers.x,
+                y: markers.y,
+                name: 'Regression',
+                type: 'scatter',
+                mode: 'markers',
+                marker: { symbol: 'triangle-down', size: 12, color: '#dc3545', line: { color: '#fff', width: 1 } },
+                legendgroup: 'regressions',
+                showlegend: !regressionLegendShown,
+                text: markers.text,
                 hovertemplate: '%{text}<extra></extra>',
-                textposition: 'none',
                 xaxis: xaxis,
                 yaxis: yaxis
             });
+            regressionLegendShown = true;
+        }
+        
+        // Mark the days on which the machine behind this benchmark changed
+        findHardwareChanges(hardwareSeries, hardwareLabels).forEach(change => {
+            const x = toPlotlyDate(Date.parse(change.date) - DAY_MS / 2);
+            shapes.push({
+                type: 'line',
+                xref: xaxis,
+                yref: `${yaxis} domain`,
+                x0: x,
+                x1: x,
+                y0: 0,
+                y1: 1,
+                line: { color: '#6c757d', width: 1.5, dash: 'dot' }
+            });
+            annotations.push({
+                text: '⚙ HW',
+                hovertext: `<b>Hardware change on ${change.date}</b><br>${change.labels.join('<br>')}`,
+                xref: xaxis,
+                yref: `${yaxis} domain`,
+                x: x,
+                y: 1,
+                xanchor: 'left',
+                yanchor: 'top',
+                showarrow: false,
+                font: { size: 10, color: '#6c757d' }
+            });
         });
     });
     
-    // Add subplot titles as annotations
+    // Legend entries explaining the bar pattern / line dash of each machine
+    if (hardwareFingerprints.length > 1) {
+        hardwareFingerprints.forEach(({ label }, hwIdx) => {
+            const swatch = chartMode === 'stack'
+                ? { type: 'bar', marker: { color: '#ccc', pattern: { shape: HARDWARE_PATTERNS[hwIdx % HARDWARE_PATTERNS.length] } } }
+                : { type: 'scatter', mode: 'lines', line: { color: '#888', dash: HARDWARE_DASHES[hwIdx % HARDWARE_DASHES.length] } };
+            traces.push({
+                ...swatch,
+                x: [],
+                y: [],
+                name: label,
+                legendgroup: `hardware-${hwIdx}`,
+                showlegend: true,
+                hoverinfo: 'skip'
+            });
+        });
+    }
+    
+    // Add section headings and subplot titles as annotations
+    grid.headers.forEach(header => {
+        annotations.push({
+            text: `<b>${header.label}</b>`,
+            xref: 'paper',
+            yref: 'paper',
+            x: 0,
+            y: header.y,
+            xanchor: 'left',
+            yanchor: 'top',
+            showarrow: false,
+            font: { size: 16, color: '#2c3e50' }
+        });
+    });
     allBenchmarkNames.forEach((benchmarkName, idx) => {
-        const benchmarkType = benchmarkTypes[idx];
-        // Remove CPU_/GPU_ prefix from benchmark name for display
-        const displayName = benchmarkName.replace(/^(CPU_|GPU_)/, '');
-        const typeLabel = benchmarkType === 'GPU' ? 'GPU (H100)' : benchmarkType;
-        const title = `${typeLabel}: ${displayName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}`;
         annotations.push({
-            text: title,
+            text: formatBenchmarkName(benchmarkName),
             xref: idx === 0 ? 'x domain' : `x${idx + 1} domain`,
             yref: idx === 0 ? 'y domain' : `y${idx + 1} domain`,
             x: 0.5,
@@ -342,18 +645,9 @@ function createPlotlyFigure(cpuBenchmarkGroups, gpuBenchmarkGroups) {
         });
     });
     
-    // Calculate initial date range in days from both CPU and GPU data
+    // Calculate initial date range in days from all device classes
     const allDates = [];
-    
-    // Collect dates from CPU benchmarks
-    for (const files of Object.values(cpuBenchmarkGroups)) {
-        files.forEach(data => {
-            allDates.push(parseTimestamp(data.metadata.timestamp));
-        });
-    }
-    
-    // Collect dates from GPU benchmarks
-    for (const files of Object.values(gpuBenchmarkGroups)) {
+    for (const files of Object.values(benchmarkGroups)) {
         files.forEach(data => {
             allDates.push(parseTimestamp(data.metadata.timestamp));
         });
@@ -365,17 +659,11 @@ function createPlotlyFigure(cpuBenchmarkGroups, gpuBenchmarkGroups) {
         const maxDate = new Date(Math.max(...allDates));
         rangeDays = (maxDate - minDate) / (1000 * 60 * 60 * 24);
         console.log(`Initial date range: ${rangeDays.toFixed(1)} days (${minDate.toISOString().split('T')[0]} to ${maxDate.toISOString().split('T')[0]})`);
-        console.log(`  Total dates collected: ${allDates.length} (CPU + GPU)`);
+        console.log(`  Total dates collected: ${allDates.length} (all device classes)`);
     }
     
-    // Calculate responsive height: more space for vertical stacking
-    // Desktop needs extra space for range sliders between rows
-    const baseHeight = isMobile ? 500 : 450; // Per subplot
-    const gapSpace = isMobile ? 0 : 100; // Extra space for gaps between rows on desktop
-    const totalHeight = baseHeight * rows + gapSpace + 80; // Reduced bottom space since legend is on top
-    
-    // Legend positioning: more space on desktop, less on mobile
-    const legendY = isMobile ? 1.04 : 1.09;
+    // Legend sits just above the first section heading
+    const legendY = 1 + 10 / grid.plotAreaHeight;
     
     // Build layout with subplots
     const layout = {
@@ -394,37 +682,28 @@ function createPlotlyFigure(cpuBenchmarkGroups, gpuBenchmarkGroups) {
             namelength: -1
         },
         annotations: annotations,
-        grid: { 
-            rows: rows, 
-            columns: cols, 
-            pattern: 'independent',
-            roworder: 'top to bottom',
-            ygap: isMobile ? 0.5 : 0.45  // Less gap for mobile (15%), more for desktop (45%)
-        },
+        shapes: shapes,
         autosize: false,
-        height: totalHeight,
+        height: grid.height,
         width: null,  // Let it use container width
-        margin: { t: 100, b: 60, l: 60, r: 40 }
+        margin: grid.margin
     };
     
-    // Configure each subplot
+    // Configure each subplot with its planned domain
+    // Range slider thickness is a fraction of the whole plot area, so convert from pixels
+    const sliderThickness = (isMobile ? 25 : 40) / grid.plotAreaHeight;
     allBenchmarkNames.forEach((benchmarkName, idx) => {
-        let row, col;
-        if (isMobile) {
-            row = idx + 1;
-            col = 1;
-        } else {
-            row = Math.floor(idx / 2) + 1;
-            col = (idx % 2) + 1;
-        }
         const xaxisKey = idx === 0 ? 'xaxis' : `xaxis${idx + 1}`;
         const yaxisKey = idx === 0 ? 'yaxis' : `yaxis${idx + 1}`;
+        const cell = grid.cells[benchmarkName];
         
         layout[xaxisKey] = {
             type: 'date',
             title: 'Date Range Selector',
+            domain: cell.x,
+            anchor: idx === 0 ? 'y' : `y${idx + 1}`,
             // Show range slider on all subplots (thinner on mobile)
-            rangeslider: { visible: true, thickness: isMobile ? 0.03 : 0.05 },
+            rangeslider: { visible: true, thickness: sliderThickness },
             // Only show range selector on first subplot
             rangeselector: idx === 0 ? {
                 buttons: [
@@ -439,13 +718,23 @@ function createPlotlyFigure(cpuBenchmarkGroups, gpuBenchmarkGroups) {
         };
         
         layout[yaxisKey] = {
-            title: 'Time (s)',
-            autorange: true,
+            domain: cell.y,
+            anchor: idx === 0 ? 'x' : `x${idx + 1}`,
+            title: chartMode === 'share' ? 'Share of total (%)' : 'Time (s)',
+            type: chartMode === 'log' ? 'log' : 'linear',
+            autorange: chartMode !== 'share',
+            range: chartMode === 'share' ? [0, 105] : undefined,
             fixedrange: false
         };
     });
     
-    return { traces, layout };
+    // Restore the selected date range (e.g. after switching chart mode)
+    if (options.dateRange) {
+        layout.xaxis.range = [...options.dateRange];
+        layout.xaxis.autorange = false;
+    }
+    
+    return { traces, layout, regressions, regionList, series: seriesByBenchmark };
 }
 
 /**
@@ -462,86 +751,476 @@ async function renderBenchmarkPlots(containerId = 'benchmark-plots') {
     // Show loading message
     container.innerHTML = '<p class="loading">Loading benchmark data...</p>';
     
+    resetBenchmarkDiagnostics();
+    
+    // Open on the view encoded in the link, and follow links pasted into this tab
+    applyBenchmarkUrlState(getUrlState());
+    registerUrlStateSection('benchmarks', state => {
+        applyBenchmarkUrlState(state);
+        renderBenchmarkToolbar();
+        drawBenchmarkFigure(containerId);
+    });
+    applyCompareUrlState(getUrlState());
+    registerUrlStateSection('compare', state => {
+        applyCompareUrlState(state);
+        // Still loading, or the load failed: the panel is rendered from the state once the runs are in
+        if (!loadedBenchmarkGroups) return;
+        renderBenchmarkCompare('benchmark-compare', flattenDeviceGroups(loadedBenchmarkGroups));
+    });
+    
     try {
-        // Discover and fetch benchmark files for both CPU and GPU
-        const cpuFiles = await discoverBenchmarkFiles('benchmarks_manifest_cpu.json');
-        const gpuFiles = await discoverBenchmarkFiles('benchmarks_manifest_gpu.json');
+        benchmarkConfig = (await getDashboardConfig()).benchmarks;
         
-        console.log(`Found ${cpuFiles.length} CPU benchmark files and ${gpuFiles.length} GPU benchmark files`);
+        // Prefer the index written by scripts/index_benchmarks.js, fall back to the manifests
+        indexedDailyAggregates = {};
+        const deviceData = await loadIndexedBenchmarks(container) || await loadManifestBenchmarks(container);
+        if (!deviceData) return;
         
-        if (cpuFiles.length === 0 && gpuFiles.length === 0) {
-            container.innerHTML = '<p class="error">No benchmark data available. Please generate manifest files.</p>';
-            return;
+        // Group by benchmark name with a device class prefix (CPU_, GPU_, ...) to keep them separate
+        loadedBenchmarkGroups = {};
+        for (const [deviceClass, profiles] of Object.entries(deviceData)) {
+            loadedBenchmarkGroups[deviceClass] = groupFilesByBenchmark(profiles, `${deviceClass.toUpperCase()}_`);
+            const names = Object.keys(loadedBenchmarkGroups[deviceClass]);
+            console.log(`Grouped into ${names.length} ${deviceClass.toUpperCase()} benchmark types:`, names);
         }
+        registerBenchmarkDevices(loadedBenchmarkGroups, benchmarkConfig.deviceClasses);
         
-        // Fetch all benchmark data with progress tracking
-        console.log('Fetching benchmark data...');
-        const cpuBenchmarkData = await Promise.all(
-            cpuFiles.map(file => fetchJSON(file))
-        );
-        const gpuBenchmarkData = await Promise.all(
-            gpuFiles.map(file => fetchJSON(file))
+        renderBenchmarkToolbar();
+        drawBenchmarkFigure(containerId);
+        renderBenchmarkSpeedup('benchmark-speedup', loadedBenchmarkGroups);
+        renderBenchmarkCompare('benchmark-compare', flattenDeviceGroups(loadedBenchmarkGroups));
+        // The PR matrix keeps working without its perf column, so this does not fail the plots
+        showPRBenchmarkImpact(loadedBenchmarkGroups)
+            .catch(error => console.error('Error showing the benchmark impact of PRs:', error));
+
+    } catch (error) {
+        console.error('Error rendering benchmarks:', error);
+        container.innerHTML = html`<p class="error">Error loading benchmarks: ${error.message}<br>Check browser console for details.</p>`;
+    } finally {
+        renderBenchmarkDiagnostics('benchmark-diagnostics');
+    }
+}
+
+/**
+ * Load all runs from benchmarks_index.json and the per-benchmark series files
+ *
+ * A series file that cannot be loaded falls back to fetching that benchmark's
+ * profiles listed in the index.
+ *
+ * @param {HTMLElement} container - Plot container (shows the progress)
+ * @returns {Promise<Object|null>} - Device class -> profiles, or null without an index
+ */
+async function loadIndexedBenchmarks(container) {
+    const index = await fetchJSON('benchmarks_index.json');
+    if (!index || !index.series || !Array.isArray(index.runs)) {
+        console.log('No benchmark index found, loading individual benchmark files');
+        return null;
+    }
+    console.log(`Benchmark index from ${index.updated}: ${index.runs.length} runs`);
+    recordBenchmarkSource('benchmarks_index.json', index.updated, index.runs.length);
+    (index.invalid || []).forEach(file => recordBenchmarkFailure(file.path, file.stage, file.reason));
+    
+    const seriesList = [];
+    for (const [deviceClass, seriesByName] of Object.entries(index.series)) {
+        for (const [name, seriesPath] of Object.entries(seriesByName)) {
+            seriesList.push({ deviceClass, name, seriesPath });
+        }
+    }
+    
+    const progress = { done: 0, total: seriesList.length, cached: 0 };
+    const loaded = await Promise.all(seriesList.map(async ({ deviceClass, name, seriesPath }) => {
+        const { data: seriesFile, stage, reason } = await fetchJSONResult(seriesPath);
+        let profiles;
+        if (seriesFile && Array.isArray(seriesFile.runs)) {
+            profiles = keepValidProfiles(
+                seriesFile.runs.map(run => expandRun(run, name)),
+                seriesFile.runs.map(run => run.path)
+            );
+            // Older series files have no daily aggregates; the plots then average the runs
+            if (Array.isArray(seriesFile.daily)) {
+                indexedDailyAggregates[`${deviceClass.toUpperCase()}_${name}`] =
+                    Object.fromEntries(seriesFile.daily.map(daily => [daily.hardware, daily]));
+            }
+        } else {
+            console.warn(`Series ${seriesPath} unavailable, fetching its profiles individually`);
+            recordBenchmarkFailure(seriesPath, seriesFile ? 'validate' : stage,
+                `${seriesFile ? 'no runs array' : reason}; loaded its profiles individually instead`);
+            const entries = index.runs.filter(run => run.device_class === deviceClass && run.benchmark_name === name);
+            const loaded = await loadBenchmarkProfiles(entries, undefined, false);
+            const found = loaded.map((data, idx) => ({ data, path: entries[idx].path })).filter(p => p.data !== null);
+            profiles = keepValidProfiles(found.map(p => p.data), found.map(p => p.path));
+        }
+        progress.done++;
+        renderBenchmarkLoadProgress(container, progress);
+        return profiles;
+    }));
+    
+    // Keep the index order so subplots do not depend on which file arrived first
+    const deviceData = {};
+    seriesList.forEach(({ deviceClass }, idx) => {
+        if (!deviceData[deviceClass]) deviceData[deviceClass] = [];
+        deviceData[deviceClass].push(...loaded[idx]);
+    });
+    if (Object.values(deviceData).every(profiles => profiles.length === 0)) {
+        console.warn('Benchmark index lists no runs, loading individual benchmark files');
+        return null;
+    }
+    return deviceData;
+}
+
+/**
+ * Load all profiles listed in the manifests of the configured device classes
+ * (one request per uncached file)
+ * @param {HTMLElement} container - Plot container (shows the progress or an error)
+ * @returns {Promise<Object|null>} - Device class -> profiles, or null if nothing could be loaded
+ */
+async function loadManifestBenchmarks(container) {
+    // Discover the benchmark files of every device class with a manifest
+    const deviceClasses = Object.entries(benchmarkConfig.deviceClasses)
+        .filter(([, classConfig]) => classConfig.manifest)
+        .map(([deviceClass]) => deviceClass);
+    const filesByClass = await Promise.all(deviceClasses.map(deviceClass =>
+        discoverBenchmarkFiles(benchmarkConfig.deviceClasses[deviceClass].manifest)));
+    const allFiles = filesByClass.flat();
+    
+    console.log(`Found ${deviceClasses.map((deviceClass, idx) => `${filesByClass[idx].length} ${deviceClass.toUpperCase()}`).join(' and ')} benchmark files`);
+    
+    if (allFiles.length === 0) {
+        container.innerHTML = '<p class="error">No benchmark data available. Please generate manifest files.</p>';
+        return null;
+    }
+    
+    // Fetch new or changed benchmark files, read the rest from the browser cache
+    console.log('Fetching benchmark data...');
+    const allBenchmarkData = await loadBenchmarkProfiles(
+        allFiles,
+        progress => renderBenchmarkLoadProgress(container, progress)
+    );
+    const paths = allFiles.map(entry => normalizeManifestEntry(entry).path);
+    const keepValid = (start, end) => {
+        const loaded = allBenchmarkData.slice(start, end)
+            .map((data, idx) => ({ data, path: paths[start + idx] }))
+            .filter(file => file.data !== null);
+        return keepValidProfiles(loaded.map(file => file.data), loaded.map(file => file.path));
+    };
+    const deviceData = {};
+    let start = 0;
+    deviceClasses.forEach((deviceClass, idx) => {
+        deviceData[deviceClass] = keepValid(start, start + filesByClass[idx].length);
+        start += filesByClass[idx].length;
+    });
+    const validCount = Object.values(deviceData).reduce((sum, profiles) => sum + profiles.length, 0);
+    
+    console.log(`Successfully loaded ${deviceClasses.map(deviceClass => `${deviceData[deviceClass].length} ${deviceClass.toUpperCase()}`).join(' and ')} files, ${paths.length - validCount} failed (see load diagnostics)`);
+    
+    if (validCount === 0) {
+        container.innerHTML = '<p class="error">Failed to load benchmark data. See the load diagnostics above for details.</p>';
+        return null;
+    }
+    return deviceData;
+}
+
+/**
+ * Show how many benchmark files are loaded so far
+ * @param {HTMLElement} container - Plot container (replaced by the figure once loaded)
+ * @param {Object} progress - { done, total, cached }
+ */
+function renderBenchmarkLoadProgress(container, progress) {
+    const { done, total, cached } = progress;
+    container.innerHTML = `
+        <div class="benchmark-load-progress">
+            <p class="loading">Loading benchmark data... ${done} / ${total} files (${cached} from cache)</p>
+            <progress max="${total}" value="${done}"></progress>
+        </div>
+    `;
+}
+
+/**
+ * Draw (or redraw) the figure from the already loaded benchmark groups
+ * using the current view options. Does not refetch any data.
+ */
+function drawBenchmarkFigure(containerId = 'benchmark-plots') {
+    const container = document.getElementById(containerId);
+    if (!container || !loadedBenchmarkGroups) return;
+    
+    const deviceGroups = {};
+    for (const [deviceClass, groups] of Object.entries(loadedBenchmarkGroups)) {
+        deviceGroups[deviceClass] = filterGroupsByHardware(
+            filterSelectedBenchmarks(groups, benchmarkViewState.selectedBenchmarks),
+            benchmarkViewState.hardwareFilter
         );
-        
-        const validCpuData = cpuBenchmarkData.filter(d => d !== null);
-        const validGpuData = gpuBenchmarkData.filter(d => d !== null);
-        const failedCount = (cpuFiles.length + gpuFiles.length) - (validCpuData.length + validGpuData.length);
-        
-        console.log(`Successfully loaded ${validCpuData.length} CPU files and ${validGpuData.length} GPU files, ${failedCount} failed`);
-        
-        if (validCpuData.length === 0 && validGpuData.length === 0) {
-            container.innerHTML = '<p class="error">Failed to load benchmark data. Check browser console for details.</p>';
-            return;
+    }
+    
+    if (Object.values(deviceGroups).every(groups => Object.keys(groups).length === 0)) {
+        lastBenchmarkFigure = null;
+        renderRegressionSummary('benchmark-regressions', []);
+        renderBenchmarkExportControls('benchmark-export', []);
+        container.innerHTML = '<p class="loading">No benchmarks selected.</p>';
+        container.style.height = '';
+        return;
+    }
+    
+    // Create Plotly figure
+    const figure = createPlotlyFigure(deviceGroups, {
+        ...benchmarkViewState,
+        columns: benchmarkConfig.columns
+    });
+    
+    if (!figure) {
+        container.innerHTML = '<p class="error">No valid benchmark groups found.</p>';
+        return;
+    }
+    
+    lastBenchmarkFigure = figure;
+    renderRegressionSummary('benchmark-regressions', figure.regressions);
+    renderBenchmarkExportControls('benchmark-export', Object.keys(figure.series));
+    
+    // Clear container and set fixed height to prevent squeezing
+    container.innerHTML = '';
+    container.style.height = `${figure.layout.height}px`;
+    
+    // Set width to match container width explicitly
+    figure.layout.width = container.offsetWidth;
+    
+    const config = {
+        responsive: true,
+        displayModeBar: true,
+        displaylogo: false
+    };
+    
+    console.log(`Rendering plot (${benchmarkViewState.chartMode} mode)...`);
+    Plotly.newPlot(container, figure.traces, figure.layout, config);
+    console.log('Plot rendered successfully');
+    
+    // Track the date range selected with the range slider, zoom or 1w/1m/3m buttons
+    container.on('plotly_relayout', function(eventData) {
+        const range = getRelayoutDateRange(eventData);
+        if (range !== undefined) {
+            benchmarkViewState.dateRange = range;
+            writeBenchmarkUrlState();
         }
-        
-        // Group by benchmark name with CPU/GPU prefix to keep them separate
-        const cpuGroups = groupFilesByBenchmark(validCpuData, 'CPU_');
-        const gpuGroups = groupFilesByBenchmark(validGpuData, 'GPU_');
-        
-        console.log(`Grouped into ${Object.keys(cpuGroups).length} CPU benchmark types:`, Object.keys(cpuGroups));
-        console.log(`Grouped into ${Object.keys(gpuGroups).length} GPU benchmark types:`, Object.keys(gpuGroups));
-        
-        // Create Plotly figure
-        const figure = createPlotlyFigure(cpuGroups, gpuGroups);
-        
-        if (!figure) {
-            container.innerHTML = '<p class="error">No valid benchmark groups found.</p>';
-            return;
+    });
+    
+    // Track regions switched off (or isolated with a double click) in the legend
+    container.on('plotly_restyle', function() {
+        benchmarkViewState.hiddenRegions = getHiddenRegions(container.data, figure.regionList);
+        writeBenchmarkUrlState();
+    });
+    
+    // Show the commits behind the clicked bar or point in the side panel
+    container.on('plotly_click', function(data) {
+        const point = data.points[0];
+        if (Array.isArray(point.customdata)) {
+            const [benchmarkName, dateStr, hardwareKey] = point.customdata;
+            openCommitPanel(benchmarkName, dateStr, hardwareKey);
         }
-        
-        // Clear container and set fixed height to prevent squeezing
-        container.innerHTML = '';
-        container.style.height = `${figure.layout.height}px`;
-        
-        // Set width to match container width explicitly
-        figure.layout.width = container.offsetWidth;
-        
-        const config = {
-            responsive: true,
-            displayModeBar: true,
-            displaylogo: false
-        };
-        
-        console.log('Rendering plot...');
-        Plotly.newPlot(container, figure.traces, figure.layout, config);
-        console.log('Plot rendered successfully');
-        
-        // Add click event handler to open GitHub commit URLs
-        container.on('plotly_click', function(data) {
-            const point = data.points[0];
-            if (point.customdata) {
-                const commitHashes = Array.isArray(point.customdata) ? point.customdata : [point.customdata];
-                commitHashes.forEach(commitHash => {
-                    const commitUrl = `https://github.com/PrincetonUniversity/specfem2d_kokkos/commit/${commitHash}`;
-                    window.open(commitUrl, '_blank');
-                });
-            }
+    });
+}
+
+/**
+ * Extract the new date range from a plotly_relayout event
+ * All x axes match the first one, so any of them may report the change.
+ * @returns {Array|null|undefined} - [start, end], null when reset to the full range,
+ *                                   undefined when the x range did not change
+ */
+function getRelayoutDateRange(eventData) {
+    let start, end;
+    for (const [key, value] of Object.entries(eventData)) {
+        if (/^xaxis\d*\.autorange$/.test(key) && value) return null;
+        if (/^xaxis\d*\.range$/.test(key)) return [value[0], value[1]];
+        if (/^xaxis\d*\.range\[0\]$/.test(key)) start = value;
+        if (/^xaxis\d*\.range\[1\]$/.test(key)) end = value;
+    }
+    return start !== undefined && end !== undefined ? [start, end] : undefined;
+}
+
+/**
+ * Regions whose traces are currently switched off in the legend
+ * @param {Object[]} traces - Plotted traces (gd.data)
+ * @param {string[]} regionList - All regions of the figure
+ */
+function getHiddenRegions(traces, regionList) {
+    const hidden = new Set();
+    traces.forEach(trace => {
+        if (regionList.includes(trace.legendgroup) && trace.visible === 'legendonly') {
+            hidden.add(trace.legendgroup);
+        }
+    });
+    return regionList.filter(region => hidden.has(region));
+}
+
+/**
+ * Keep only the selected benchmarks of one device class
+ * @param {Object} benchmarkGroups - Prefixed benchmark name -> profiles
+ * @param {string[]|null} selected - Selected names, null = all
+ */
+function filterSelectedBenchmarks(benchmarkGroups, selected) {
+    if (!selected) return benchmarkGroups;
+    const filtered = {};
+    for (const [name, files] of Object.entries(benchmarkGroups)) {
+        if (selected.includes(name)) filtered[name] = files;
+    }
+    return filtered;
+}
+
+/**
+ * Read the benchmark view options from the URL hash (missing keys mean defaults)
+ * @param {Object} state - Output of getUrlState()
+ */
+function applyBenchmarkUrlState(state) {
+    const range = state.range ? state.range.split(URL_STATE_LIST_SEPARATOR) : null;
+    const list = value => value === undefined ? null : value.split(URL_STATE_LIST_SEPARATOR).filter(Boolean);
+    
+    benchmarkViewState.chartMode = BENCHMARK_CHART_MODES[state.mode] ? state.mode : 'stack';
+    benchmarkViewState.hardwareFilter = state.hw || 'all';
+    benchmarkViewState.dateRange = range && range.length === 2 ? range : null;
+    benchmarkViewState.hiddenRegions = list(state.hide) || [];
+    benchmarkViewState.selectedBenchmarks = list(state.bench);
+}
+
+/**
+ * Write the benchmark view options to the URL hash (defaults are left out)
+ */
+function writeBenchmarkUrlState() {
+    const { chartMode, hardwareFilter, dateRange, hiddenRegions, selectedBenchmarks } = benchmarkViewState;
+    setUrlState({
+        mode: chartMode !== 'stack' ? chartMode : null,
+        hw: hardwareFilter !== 'all' ? hardwareFilter : null,
+        range: dateRange,
+        hide: hiddenRegions.length > 0 ? hiddenRegions : null,
+        bench: selectedBenchmarks
+    });
+}
+
+/**
+ * Render the chart mode switcher and hardware filter above the plots
+ */
+function renderBenchmarkToolbar(toolbarId = 'benchmark-toolbar') {
+    const toolbar = document.getElementById(toolbarId);
+    if (!toolbar || !loadedBenchmarkGroups) return;
+    
+    const buttons = Object.entries(BENCHMARK_CHART_MODES)
+        .map(([mode, label]) => {
+            const active = mode === benchmarkViewState.chartMode ? ' active' : '';
+            return html`<button type="button" class="chart-mode-button${active}" data-mode="${mode}">${label}</button>`;
         });
-        
-    } catch (error) {
-        console.error('Error rendering benchmarks:', error);
-        container.innerHTML = `<p class="error">Error loading benchmarks: ${error.message}<br>Check browser console for details.</p>`;
+    
+    const fingerprints = collectHardwareFingerprints(flattenDeviceGroups(loadedBenchmarkGroups));
+    if (!fingerprints.some(fp => fp.key === benchmarkViewState.hardwareFilter)) {
+        benchmarkViewState.hardwareFilter = 'all';
     }
+    const hardwareOptions = fingerprints
+        .map(fp => html`<option value="${fp.key}">${fp.label}</option>`);
+    
+    const allNames = Object.keys(flattenDeviceGroups(loadedBenchmarkGroups));
+    const isSelected = name => !benchmarkViewState.selectedBenchmarks || benchmarkViewState.selectedBenchmarks.includes(name);
+    const selectorGroups = buildBenchmarkSections(loadedBenchmarkGroups)
+        .map(section => html`
+            <fieldset>
+                <legend>
+                    <label><input type="checkbox" class="benchmark-section-toggle"> ${section.label}</label>
+                </legend>
+                ${section.names.map(name => html`
+                    <label><input type="checkbox" class="benchmark-checkbox" value="${name}"${rawHTML(isSelected(name) ? ' checked' : '')}> ${formatBenchmarkName(name)}</label>
+                `)}
+            </fieldset>
+        `);
+    
+    toolbar.innerHTML = html`
+        <div class="chart-mode-switcher" role="group" aria-label="Chart mode">${buttons}</div>
+        <details class="benchmark-selector">
+            <summary>Benchmarks (<span id="benchmark-selected-count"></span>)</summary>
+            ${selectorGroups}
+        </details>
+        <label class="hardware-filter">Hardware
+            <select id="hardware-filter">
+                <option value="all">All machines (${fingerprints.length})</option>
+                ${hardwareOptions}
+            </select>
+        </label>
+        <div id="benchmark-export" class="export-controls"></div>
+        <div class="cache-controls">
+            <button type="button" id="clear-benchmark-cache" class="export-button">Clear cache</button>
+            <span id="benchmark-cache-status" class="export-status"></span>
+        </div>
+    `;
+    
+    const cacheStatus = document.getElementById('benchmark-cache-status');
+    countCachedProfiles()
+        .then(count => { cacheStatus.textContent = `${count} files cached`; })
+        .catch(() => { cacheStatus.textContent = 'Cache unavailable'; });
+    document.getElementById('clear-benchmark-cache').addEventListener('click', async () => {
+        await clearBenchmarkCache();
+        renderBenchmarkPlots();
+    });
+    
+    toolbar.querySelectorAll('.chart-mode-button').forEach(button => {
+        button.addEventListener('click', () => setBenchmarkChartMode(button.dataset.mode));
+    });
+    
+    const hardwareSelect = document.getElementById('hardware-filter');
+    hardwareSelect.value = benchmarkViewState.hardwareFilter;
+    hardwareSelect.addEventListener('change', () => {
+        benchmarkViewState.hardwareFilter = hardwareSelect.value;
+        writeBenchmarkUrlState();
+        drawBenchmarkFigure();
+    });
+    
+    updateBenchmarkSelector(toolbar, allNames.length);
+    toolbar.querySelectorAll('.benchmark-section-toggle').forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            toggle.closest('fieldset').querySelectorAll('.benchmark-checkbox').forEach(checkbox => {
+                checkbox.checked = toggle.checked;
+            });
+            setSelectedBenchmarks(toolbar, allNames);
+        });
+    });
+    toolbar.querySelectorAll('.benchmark-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', () => setSelectedBenchmarks(toolbar, allNames));
+    });
+}
+
+/**
+ * Sync the section toggles and the selected count with the benchmark checkboxes
+ */
+function updateBenchmarkSelector(toolbar, totalCount) {
+    toolbar.querySelectorAll('.benchmark-selector fieldset').forEach(fieldset => {
+        const checkboxes = Array.from(fieldset.querySelectorAll('.benchmark-checkbox'));
+        const checkedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+        const toggle = fieldset.querySelector('.benchmark-section-toggle');
+        toggle.checked = checkedCount === checkboxes.length;
+        toggle.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length;
+    });
+    const selectedCount = toolbar.querySelectorAll('.benchmark-checkbox:checked').length;
+    document.getElementById('benchmark-selected-count').textContent =
+        selectedCount === totalCount ? 'all' : `${selectedCount} of ${totalCount}`;
+}
+
+/**
+ * Apply the checked benchmarks and redraw without refetching
+ */
+function setSelectedBenchmarks(toolbar, allNames) {
+    const selected = Array.from(toolbar.querySelectorAll('.benchmark-checkbox:checked'))
+        .map(checkbox => checkbox.value);
+    benchmarkViewState.selectedBenchmarks = selected.length === allNames.length ? null : selected;
+    
+    updateBenchmarkSelector(toolbar, allNames.length);
+    writeBenchmarkUrlState();
+    drawBenchmarkFigure();
+}
+
+/**
+ * Switch the chart mode and redraw without refetching
+ */
+function setBenchmarkChartMode(mode) {
+    if (!BENCHMARK_CHART_MODES[mode] || mode === benchmarkViewState.chartMode) return;
+    benchmarkViewState.chartMode = mode;
+    
+    document.querySelectorAll('.chart-mode-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    writeBenchmarkUrlState();
+    drawBenchmarkFigure();
 }
 
 // Auto-render when DOM is ready
@@ -552,7 +1231,7 @@ if (document.readyState === 'loading') {
 }
 
 // Handle responsive layout changes
-// Only full re-render when crossing mobile/desktop breakpoint (layout change needed)
+// Only redraw when crossing mobile/desktop breakpoint (layout change needed)
 // Plotly's autosize handles everything else without triggering reloads
 let resizeTimeout;
 let lastWidth = window.innerWidth;
@@ -571,10 +1250,10 @@ window.addEventListener('resize', () => {
         const crossedBreakpoint = wasDesktop !== isDesktop;
         
         if (crossedBreakpoint) {
-            // Need to re-render with different layout (1 col vs 2 col grid)
+            // Need to redraw with different layout (1 col vs multi-column grid); data is already loaded
             console.log(`Layout breakpoint crossed (${wasDesktop ? 'desktop -> mobile' : 'mobile -> desktop'}), re-rendering plots...`);
             lastWidth = currentWidth;
-            renderBenchmarkPlots();
+            drawBenchmarkFigure();
         }
         // Otherwise do nothing - Plotly's autosize in config handles it
     }, 250); // Debounce
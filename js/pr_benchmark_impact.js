@@ -0,0 +1,156 @@
+/**
+ * Benchmark Impact of Pull Requests
+ *
+ * Benchmark profiles record the commit they were built from
+ * (metadata.git_commit.hash). When a run exists for a PR's head commit, or
+ * else for its merge base, the PR matrix shows a "Perf" column with the
+ * total-time delta of each benchmark against the latest nightly run on the
+ * same machine, i.e. the newest run there on one of
+ * `prMatrix.perf.nightlyBranches` (runs without a recorded branch count as
+ * nightly unless they are the head of an open PR). A commit benchmarked on
+ * several machines gets one delta per machine.
+ * Deltas beyond `perf.thresholdPercent` are colour-coded, and each links to
+ * the two runs in the comparison panel. The runs are the ones loaded for the
+ * plots (plot_benchmarks.js), so the column appears once they have loaded.
+ */
+
+// Benchmark groups of the plots (prefixed name -> profiles), null until loaded
+let prImpactBenchmarks = null;
+
+// prMatrix.perf section of the dashboard config
+let prImpactConfig = null;
+
+// Impacts of the loaded PR rows (PR number -> impact), rebuilt when the rows or the runs change
+let prImpactCache = { rows: null, benchmarks: null, impacts: new Map() };
+
+/**
+ * Hand the loaded benchmark runs to the PR matrix and redraw it
+ * @param {Object} benchmarkGroups - Device class -> prefixed benchmark name -> profiles
+ */
+async function showPRBenchmarkImpact(benchmarkGroups) {
+    prImpactConfig = (await getDashboardConfig()).prMatrix.perf;
+    prImpactBenchmarks = flattenDeviceGroups(benchmarkGroups);
+
+    const container = document.getElementById('failing-prs');
+    if (container && prMatrixRows.length > 0) drawPRMatrix(container);
+}
+
+/**
+ * Whether a profile belongs to the nightly history the PRs are compared against
+ * @param {Object} data - Profile
+ * @param {Set<string>} prHeads - Head commits of the open PRs
+ */
+function isNightlyRun(data, prHeads) {
+    const git = data.metadata.git_commit;
+    if (!git || !git.hash || prHeads.has(git.hash)) return false;
+    return !git.branch || prImpactConfig.nightlyBranches.includes(git.branch);
+}
+
+/**
+ * Per-benchmark and per-machine total-time deltas of a PR against the latest nightly runs
+ * @param {Object} pr - Pull request (head.sha, base.sha)
+ * @param {Set<string>} prHeads - Head commits of all open PRs
+ * @returns {Object|null} - { commit, of: 'head'|'merge base', deltas: [{ benchmark, hardware, hardwareLabel, from, to, delta, percent }] },
+ *                          hardware being the fingerprint of the machine; null when neither commit was benchmarked
+ */
+function getPRBenchmarkImpact(pr, prHeads) {
+    if (!prImpactBenchmarks) return null;
+
+    const candidates = [[pr.head.sha, 'head'], [pr.base && pr.base.sha, 'merge base']];
+    for (const [commit, of] of candidates) {
+        if (!commit) continue;
+
+        const deltas = [];
+        for (const [benchmark, files] of Object.entries(prImpactBenchmarks)) {
+            for (const machine of splitFilesByHardware(files)) {
+                const commitFiles = machine.files.filter(data => data.metadata.git_commit?.hash === commit);
+                if (commitFiles.length === 0) continue;
+
+                // Averaged per commit the same way the comparison panel does
+                const [run] = buildComparisonRuns(commitFiles, 'commit');
+                const nightly = buildComparisonRuns(machine.files.filter(data => isNightlyRun(data, prHeads)), 'commit')
+                    .filter(nightlyRun => nightlyRun.key !== commit)
+                    .pop();
+                if (!nightly) continue;
+
+                const delta = run.total - nightly.total;
+                const percent = nightly.total ? delta / nightly.total * 100 : null;
+                deltas.push({
+                    benchmark,
+                    hardware: machine.key,
+                    hardwareLabel: getHardwareLabel(machine.files[0].metadata.hardware),
+                    from: nightly,
+                    to: run,
+                    delta,
+                    percent
+                });
+            }
+        }
+        if (deltas.length > 0) {
+            deltas.sort((a, b) => Math.abs(b.percent || 0) - Math.abs(a.percent || 0));
+            return { commit, of, deltas };
+        }
+    }
+    return null;
+}
+
+/**
+ * Benchmark impacts of all loaded PRs, computed once per set of rows and runs
+ * @param {Object[]} rows - All rows of the matrix ([{ pr, checks, review }])
+ * @returns {Map<number, Object|null>} - PR number -> result of getPRBenchmarkImpact
+ */
+function getPRBenchmarkImpacts(rows) {
+    if (prImpactCache.rows !== rows || prImpactCache.benchmarks !== prImpactBenchmarks) {
+        const prHeads = new Set(rows.map(({ pr }) => pr.head.sha).filter(Boolean));
+        prImpactCache = {
+            rows,
+            benchmarks: prImpactBenchmarks,
+            impacts: new Map(rows.map(({ pr }) => [pr.number, getPRBenchmarkImpact(pr, prHeads)]))
+        };
+    }
+    return prImpactCache.impacts;
+}
+
+/**
+ * CSS class of a total-time change
+ */
+function getPerfDeltaClass(percent) {
+    if (percent === null || Math.abs(percent) < prImpactConfig.thresholdPercent) return 'perf-neutral';
+    return percent > 0 ? 'perf-slower' : 'perf-faster';
+}
+
+/**
+ * Link opening two runs of one machine in the comparison panel, keeping the rest of the view
+ */
+function getCompareRunsLink(benchmark, fromHash, toHash, hardwareKey) {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    params.set('cmp', benchmark);
+    params.set('cmpby', 'commit');
+    params.set('cmphw', hardwareKey);
+    params.set('cmpa', fromHash);
+    params.set('cmpb', toHash);
+    return `#${params.toString()}`;
+}
+
+/**
+ * Contents of the perf cell of a PR
+ * @param {Object|null} impact - Result of getPRBenchmarkImpact
+ * @returns {SafeHTML}
+ */
+function renderPRBenchmarkImpact(impact) {
+    if (!impact) return html`—`;
+
+    const label = impact.of === 'head' ? '' : html`<span class="perf-of">base</span> `;
+    // Name the machine only when the commit was benchmarked on several
+    const severalMachines = new Set(impact.deltas.map(({ hardware }) => hardware)).size > 1;
+    return html`${label}${impact.deltas.map(({ benchmark, hardware, hardwareLabel, from, to, delta, percent }) => {
+        const sign = delta > 0 ? '+' : '';
+        const change = percent === null ? `${sign}${delta.toFixed(2)}s` : `${sign}${percent.toFixed(1)}%`;
+        const title = `${to.total.toFixed(2)}s at ${impact.of} ` +
+            `${impact.commit.substring(0, 7)} vs ${from.total.toFixed(2)}s nightly ${from.key.substring(0, 7)} (${from.date}) on ${hardwareLabel}`;
+        const machine = severalMachines ? html` <span class="perf-machine">${hardwareLabel}</span>` : '';
+        return html`<a class="perf-delta ${getPerfDeltaClass(percent)}" href="${getCompareRunsLink(benchmark, from.key, to.key, hardware)}"
+            data-benchmark="${benchmark}" data-from="${from.key}" data-to="${to.key}" data-hardware="${hardware}"
+            title="${title}">${getBenchmarkDisplayName(benchmark)} ${change}${machine}</a>`;
+    })}`;
+}
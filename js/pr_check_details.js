@@ -0,0 +1,102 @@
+/**
+ * Check Detail Popover
+ *
+ * Clicking a check cell of the PR matrix (or pressing Enter on it) opens a
+ * popover next to the cell that explains the status: start and finish time,
+ * duration, output title and summary and the annotation count of GitHub check
+ * runs, the description of external statuses such as Jenkins, and a link
+ * straight to the log.
+ */
+
+/**
+ * Local date and time of an ISO timestamp
+ */
+function formatCheckTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Log or details page of a check
+ * @returns {string|null}
+ */
+function getCheckLogUrl(check) {
+    return safeURL(check.type === 'github' ? (check.details_url || check.html_url) : check.target_url);
+}
+
+/**
+ * Label/value pairs shown for a check
+ * @returns {Array<[string, string]>}
+ */
+function getCheckDetailFields(check) {
+    if (check.type !== 'github') {
+        return [['Description', check.description || 'No description']];
+    }
+
+    const fields = [];
+    if (check.started_at) fields.push(['Started', formatCheckTime(check.started_at)]);
+    if (check.completed_at) fields.push(['Finished', formatCheckTime(check.completed_at)]);
+    if (check.started_at) {
+        const end = check.completed_at ? Date.parse(check.completed_at) : Date.now();
+        const duration = formatDuration(end - Date.parse(check.started_at));
+        fields.push(['Duration', check.completed_at ? duration : `${duration} so far`]);
+    }
+    if (check.title) fields.push(['Output', check.title]);
+    fields.push(['Annotations', String(check.annotations_count || 0)]);
+    return fields;
+}
+
+/**
+ * Open the popover for a check cell
+ * @param {HTMLElement} cell - Clicked check cell
+ * @param {Object} pr - PR of the row
+ * @param {Object} check - Check of the cell
+ */
+function openCheckDetails(cell, pr, check) {
+    const popover = document.getElementById('check-details');
+    if (!popover) return;
+
+    const logUrl = getCheckLogUrl(check);
+    const fields = getCheckDetailFields(check).map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`);
+    popover.innerHTML = html`
+        <div class="check-details-header">
+            <h3 class="check-details-name">${check.type === 'github' ? '🔵' : '🟣'} ${check.name}</h3>
+            <button type="button" class="check-details-close" aria-label="Close">&times;</button>
+        </div>
+        <p class="check-details-pr">#${pr.number}: ${pr.title}</p>
+        <p class="check-details-status ${getCheckStatusClass(check.status)}">${PR_CHECK_STATUS_EMOJI[check.status] || '?'} ${check.status}</p>
+        <dl class="check-details-fields">${fields}</dl>
+        ${check.summary && html`<p class="check-details-summary">${check.summary}</p>`}
+        ${logUrl
+            ? html`<a class="check-details-log" href="${logUrl}" target="_blank">Open log →</a>`
+            : html`<p class="check-details-log">No log link reported</p>`}
+    `;
+
+    popover.querySelector('.check-details-close').addEventListener('click', closeCheckDetails);
+
+    // Below the cell, kept inside the viewport
+    popover.hidden = false;
+    const rect = cell.getBoundingClientRect();
+    const left = Math.min(rect.left, document.documentElement.clientWidth - popover.offsetWidth - 8);
+    popover.style.left = `${Math.max(8, left) + window.scrollX}px`;
+    popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+}
+
+/**
+ * Close the popover
+ */
+function closeCheckDetails() {
+    const popover = document.getElementById('check-details');
+    if (popover) popover.hidden = true;
+}
+
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeCheckDetails();
+});
+
+// Clicks outside the popover close it; clicks on another cell reopen it there
+document.addEventListener('click', event => {
+    const popover = document.getElementById('check-details');
+    if (popover && !popover.hidden && !popover.contains(event.target) && !event.target.closest('td.check-cell[data-check]')) {
+        closeCheckDetails();
+    }
+});
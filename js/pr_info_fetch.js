@@ -1,178 +1,118 @@
-async function fetchFailingPRs() {
-    const container = document.getElementById('failing-prs');
-    
-    // Use config from config.js
-    const GITHUB_REPO = 'PrincetonUniversity/SPECFEMPP';
-    const GITHUB_TOKEN = TOKEN.GITHUB_TOKEN;
-    
-    try {
-        const headers = {
-            'Accept': 'application/vnd.github.v3+json'
-        };
-        
-        if (GITHUB_TOKEN) {
-            headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-        }
+/**
+ * Pull Request Check Matrix
+ *
+ * Lists the open pull requests of `prMatrix.repo` with one column per CI
+ * check. By default the rows come from the snapshot that
+ * scripts/fetch_pr_status.js writes from cron with a server-held token
+ * (`prMatrix.snapshot`), so visitors need no token and spend no API quota.
+ * The snapshot's age is shown above the table and flagged as out-of-sync
+ * after `snapshot.staleAfterHours`, as badge_loader.js does for the badges.
+ * Visitors with their own token can refresh live instead; without a usable
+ * snapshot the PRs are always loaded live. The loaders are in
+ * pr_status_loader.js, the table is drawn by pr_matrix.js.
+ */
 
-        // Fetch open pull requests
-        const response = await fetch(
-            `https://api.github.com/repos/${GITHUB_REPO}/pulls?state=open&per_page=100`,
-            { headers }
-        );
+// Where the rows on display come from
+const prStatusSource = {
+    liveRequested: false, // The visitor chose "Refresh live" (needs their own token)
+    snapshot: null        // Generated time of the snapshot on display, null for live data
+};
 
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
-        }
+/**
+ * Load the snapshot written by scripts/fetch_pr_status.js
+ * @param {Object} prConfig - prMatrix section of the dashboard config
+ * @returns {Promise<Object>} - { generated, repo, prs }
+ */
+async function loadPRStatusSnapshot(prConfig) {
+    const response = await fetch(prConfig.snapshot.file, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const snapshot = await response.json();
+    if (snapshot.repo !== prConfig.repo || !Array.isArray(snapshot.prs)) {
+        throw new Error(`Not a PR snapshot of ${prConfig.repo}`);
+    }
+    return snapshot;
+}
 
-        const prs = await response.json();
-        
-        if (prs.length === 0) {
-            container.innerHTML = '<p class="no-failures">No open PRs</p>';
-            return;
-        }
-        
-        // Collect all PRs with their check details
-        const prData = [];
-        const allCheckNames = new Set();
-        
-        for (const pr of prs) {
-            // Fetch check runs for each PR
-            const checksResponse = await fetch(
-                `https://api.github.com/repos/${GITHUB_REPO}/commits/${pr.head.sha}/check-runs`,
-                { headers }
-            );
-            
-            // Fetch status (for external checks like Jenkins)
-            const statusResponse = await fetch(
-                `https://api.github.com/repos/${GITHUB_REPO}/commits/${pr.head.sha}/status`,
-                { headers }
-            );
-            
-            let checks = {};
-            
-            if (checksResponse.ok) {
-                const data = await checksResponse.json();
-                for (const run of data.check_runs) {
-                    const key = `${run.name}|github`;
-                    checks[key] = {
-                        name: run.name,
-                        status: run.conclusion || run.status,
-                        type: 'github'
-                    };
-                    allCheckNames.add(key);
-                }
-            }
-            
-            if (statusResponse.ok) {
-                const data = await statusResponse.json();
-                for (const check of data.statuses) {
-                    const key = `${check.context}|external`;
-                    checks[key] = {
-                        name: check.context,
-                        status: check.state === 'success' ? 'success' : 
-                               check.state === 'failure' ? 'failure' : 
-                               check.state === 'error' ? 'error' : 
-                               check.state === 'pending' ? 'pending' : 'unknown',
-                        type: 'external'
-                    };
-                    allCheckNames.add(key);
-                }
-            }
-            
-            prData.push({ pr, checks });
-            
-            // Rate limiting - wait a bit between requests
-            await new Promise(resolve => setTimeout(resolve, 100));
+/**
+ * Load the rows from the snapshot, or live when requested with a token or when there is no snapshot
+ * @param {Object} prConfig - prMatrix section of the dashboard config
+ * @returns {Promise<Object[]>} - [{ pr, checks, review }]
+ */
+async function loadPRRows(prConfig) {
+    const live = prStatusSource.liveRequested && Boolean(getGitHubToken().token);
+    if (prConfig.snapshot.file && !live) {
+        try {
+            const snapshot = await loadPRStatusSnapshot(prConfig);
+            prStatusSource.snapshot = snapshot.generated;
+            return snapshot.prs;
+        } catch (error) {
+            console.warn(`Could not load ${prConfig.snapshot.file}, loading PRs live:`, error);
         }
+    }
+    prStatusSource.snapshot = null;
+    return loadPRChecks(prConfig);
+}
 
-        // Sort check names: GitHub Actions first (alphabetically), then External (alphabetically)
-        // with ReadTheDocs at the very end
-        const sortedCheckNames = Array.from(allCheckNames).sort((a, b) => {
-            const [nameA, typeA] = a.split('|');
-            const [nameB, typeB] = b.split('|');
-            
-            // GitHub checks first, external checks last
-            if (typeA !== typeB) {
-                return typeA === 'github' ? -1 : 1;
-            }
-            
-            // Within external checks, put ReadTheDocs last
-            if (typeA === 'external') {
-                const isReadTheDocsA = nameA.toLowerCase().includes('readthedocs') || nameA.toLowerCase().includes('docs/');
-                const isReadTheDocsB = nameB.toLowerCase().includes('readthedocs') || nameB.toLowerCase().includes('docs/');
-                
-                if (isReadTheDocsA !== isReadTheDocsB) {
-                    return isReadTheDocsA ? 1 : -1;
-                }
-            }
-            
-            // Alphabetical within same type
-            return nameA.localeCompare(nameB);
-        });
-        
-        // Generate table
-        const statusEmoji = {
-            'success': '✓',
-            'failure': '✗',
-            'error': '✗',
-            'pending': '⋯',
-            'in_progress': '⋯',
-            'queued': '⋯',
-            'unknown': '?',
-            'skipped': '—'
-        };
-        
-        let html = '<div class="pr-matrix-container">';
-        html += '<table class="pr-matrix">';
-        
-        // Header row
-        html += '<thead><tr>';
-        html += '<th class="pr-info-cell">Pull Request</th>';
-        html += '<th class="pr-author-cell">Author</th>';
-        
-        for (const checkKey of sortedCheckNames) {
-            const [checkName, checkType] = checkKey.split('|');
-            const typeLabel = checkType === 'github' ? '🔵' : '🟣'; // Blue for GitHub, Purple for External
-            html += `<th class="check-header"><div class="check-name" title="${checkName}">${typeLabel} ${checkName}</div></th>`;
-        }
-        
-        html += '</tr></thead>';
-        
-        // Body rows
-        html += '<tbody>';
-        
-        for (const { pr, checks } of prData) {
-            html += '<tr>';
-            html += `<td class="pr-info-cell"><a href="${pr.html_url}" target="_blank">#${pr.number}: ${pr.title}</a></td>`;
-            html += `<td class="pr-author-cell">${pr.user.login}</td>`;
-            
-            for (const checkKey of sortedCheckNames) {
-                const check = checks[checkKey];
-                
-                if (check) {
-                    const emoji = statusEmoji[check.status] || '?';
-                    const statusClass = check.status === 'success' ? 'check-success' :
-                                      check.status === 'failure' || check.status === 'error' ? 'check-failure' :
-                                      check.status === 'pending' || check.status === 'in_progress' || check.status === 'queued' ? 'check-pending' :
-                                      'check-unknown';
-                    
-                    html += `<td class="check-cell ${statusClass}" title="${check.name}: ${check.status}">${emoji}</td>`;
-                } else {
-                    html += `<td class="check-cell check-empty" title="Not run">—</td>`;
-                }
-            }
-            
-            html += '</tr>';
+/**
+ * Show the age of the snapshot on display (or that the data is live) and the live refresh button
+ * @param {HTMLElement} container - Matrix container
+ * @param {Object} prConfig - prMatrix section of the dashboard config
+ * @param {string} statusId - ID of the status element
+ */
+function renderPRStatusSource(container, prConfig, statusId = 'pr-status-source') {
+    const status = document.getElementById(statusId);
+    if (!status) return;
+
+    let text = 'Live data from the GitHub API';
+    let stale = false;
+    if (prStatusSource.snapshot) {
+        const ageMs = Date.now() - Date.parse(prStatusSource.snapshot);
+        stale = ageMs > (prConfig.snapshot.staleAfterHours || DEFAULT_STALE_AFTER_HOURS) * 60 * 60 * 1000;
+        const age = ageMs < 60 * 60 * 1000 ? formatDuration(ageMs) : formatAge(prStatusSource.snapshot);
+        text = `Snapshot of ${formatCheckTime(prStatusSource.snapshot)} (${age} ago)`;
+        if (stale) text += ' - out of sync, the snapshot job may have stopped';
+    }
+
+    // Live data costs API quota, so it is only offered with the visitor's own token
+    let action = '';
+    if (prStatusSource.snapshot && getGitHubToken().token) {
+        action = html`<button type="button" class="export-button pr-source-live">Refresh live</button>`;
+    } else if (!prStatusSource.snapshot && prStatusSource.liveRequested && prConfig.snapshot.file) {
+        action = html`<button type="button" class="export-button pr-source-snapshot">Back to snapshot</button>`;
+    }
+    status.innerHTML = html`<span>${text}</span>${action}`;
+    status.classList.toggle('pr-status-stale', stale);
+
+    status.querySelector('.pr-source-live')?.addEventListener('click', () => {
+        prStatusSource.liveRequested = true;
+        refreshPRMatrix(container, prConfig);
+    });
+    status.querySelector('.pr-source-snapshot')?.addEventListener('click', () => {
+        prStatusSource.liveRequested = false;
+        refreshPRMatrix(container, prConfig);
+    });
+}
+
+async function fetchFailingPRs() {
+    const container = document.getElementById('failing-prs');
+
+    try {
+        const { prMatrix } = await getDashboardConfig();
+        const prData = await loadPRRows(prMatrix);
+
+        if (prData.length === 0) {
+            container.innerHTML = '<p class="no-failures">No open PRs</p>';
+        } else {
+            renderPRMatrix(container, prData);
         }
-        
-        html += '</tbody>';
-        html += '</table>';
-        html += '</div>';
-        
-        container.innerHTML = html;
+        renderPRStatusSource(container, prMatrix);
+        startPRAutoRefresh(container, prMatrix);
     } catch (error) {
         console.error('Error fetching PRs:', error);
-        container.innerHTML = `<p class="error">Error loading PRs: ${error.message}</p>`;
+        const hint = !getGitHubToken().token && '. Adding a GitHub token (below) raises the rate limit.';
+        container.innerHTML = html`<p class="error">Error loading PRs: ${error.message}${hint}</p>`;
     }
 }
 
@@ -0,0 +1,610 @@
+/**
+ * PR Matrix View
+ *
+ * Renders the `{ pr, checks, review }` rows of pr_info_fetch.js as a table
+ * with a toolbar: text search over title and author, filters (failing only,
+ * draft/ready, author, label, triage), sortable columns (number, age, last
+ * update, failure count), review columns (requested reviewers, approvals,
+ * merge state, labels) and check columns grouped by type or workflow prefix.
+ * Collapsed groups are rolled up into one summary column. PRs that need
+ * triage ("green CI but no reviewer", "approved but failing") are
+ * highlighted. The view state lives in the URL hash (pr* keys) like the
+ * benchmark view. Changes found by pr_refresh.js are highlighted, and PRs
+ * and checks can be watched (★) for its notifications. Clicking a check
+ * cell opens its details (pr_check_details.js). Once benchmark runs of a
+ * PR's commits are loaded, a perf column shows their deltas
+ * (pr_benchmark_impact.js).
+ */
+
+// Current filters, sort order and grouping of the matrix
+const prMatrixState = {
+    search: '',
+    failingOnly: false,
+    draft: 'all',        // 'all', 'draft' or 'ready'
+    author: 'all',
+    label: 'all',
+    triage: 'all',       // 'all' or a key of PR_TRIAGE_FLAGS
+    sort: 'number',      // Key of PR_MATRIX_SORTS
+    sortDir: 'desc',     // 'asc' or 'desc'
+    groupBy: 'none',     // Key of PR_MATRIX_GROUPINGS
+    collapsedGroups: []  // Keys of groups rolled up into a summary column
+};
+
+// Rows the matrix was last rendered with
+let prMatrixRows = [];
+
+// Sortable columns: sort key -> value of a row
+const PR_MATRIX_SORTS = {
+    number: row => row.pr.number,
+    age: row => Date.now() - Date.parse(row.pr.created_at),
+    updated: row => Date.now() - Date.parse(row.pr.updated_at),
+    failures: row => countFailingChecks(row.checks)
+};
+
+// Column groupings: key -> label
+const PR_MATRIX_GROUPINGS = {
+    none: 'No grouping',
+    type: 'By type',
+    workflow: 'By workflow'
+};
+
+// PRs the weekly triage looks for: flag -> { label, description }
+const PR_TRIAGE_FLAGS = {
+    'needs-reviewer': { label: 'Needs reviewer', description: 'CI is green but nobody has been asked to review' },
+    'approved-failing': { label: 'Approved but failing', description: 'Approved, but some checks fail' }
+};
+
+// Merge states (REST mergeable_state / GraphQL mergeStateStatus, lower case) -> label
+const PR_MERGE_STATES = {
+    clean: 'Clean',
+    unstable: 'Unstable',
+    has_hooks: 'Clean',
+    blocked: 'Blocked',
+    behind: 'Behind',
+    dirty: 'Conflicts',
+    draft: 'Draft',
+    unknown: 'Unknown'
+};
+
+// Labels of the check types
+const PR_CHECK_TYPE_LABELS = {
+    github: '🔵 GitHub',
+    external: '🟣 External'
+};
+
+const PR_CHECK_STATUS_EMOJI = {
+    'success': '✓',
+    'failure': '✗',
+    'error': '✗',
+    'pending': '⋯',
+    'in_progress': '⋯',
+    'queued': '⋯',
+    'unknown': '?',
+    'skipped': '—'
+};
+
+/**
+ * CSS class of a check status
+ */
+function getCheckStatusClass(status) {
+    return status === 'success' ? 'check-success' :
+           status === 'failure' || status === 'error' ? 'check-failure' :
+           status === 'pending' || status === 'in_progress' || status === 'queued' ? 'check-pending' :
+           'check-unknown';
+}
+
+/**
+ * Number of failing checks of a PR
+ */
+function countFailingChecks(checks) {
+    return Object.values(checks).filter(check => getCheckStatusClass(check.status) === 'check-failure').length;
+}
+
+/**
+ * Sort check keys: GitHub Actions first (alphabetically), then External
+ * (alphabetically) with ReadTheDocs at the very end
+ */
+function sortCheckKeys(checkKeys) {
+    return [...checkKeys].sort((a, b) => {
+        const [nameA, typeA] = a.split('|');
+        const [nameB, typeB] = b.split('|');
+
+        // GitHub checks first, external checks last
+        if (typeA !== typeB) {
+            return typeA === 'github' ? -1 : 1;
+        }
+
+        // Within external checks, put ReadTheDocs last
+        if (typeA === 'external') {
+            const isReadTheDocsA = nameA.toLowerCase().includes('readthedocs') || nameA.toLowerCase().includes('docs/');
+            const isReadTheDocsB = nameB.toLowerCase().includes('readthedocs') || nameB.toLowerCase().includes('docs/');
+
+            if (isReadTheDocsA !== isReadTheDocsB) {
+                return isReadTheDocsA ? 1 : -1;
+            }
+        }
+
+        // Alphabetical within same type
+        return nameA.localeCompare(nameB);
+    });
+}
+
+/**
+ * Group a check column belongs to under the current grouping
+ * @returns {{key: string, label: string}}
+ */
+function getCheckGroup(checkKey, groupBy) {
+    const [name, type] = checkKey.split('|');
+    if (groupBy === 'type') {
+        return { key: type, label: PR_CHECK_TYPE_LABELS[type] || type };
+    }
+    // Workflow prefix: "build / gcc" -> "build", "jenkins/gnu" -> "jenkins"
+    const prefix = name.split('/')[0].trim() || name;
+    return { key: `${type}:${prefix}`, label: `${type === 'github' ? '🔵' : '🟣'} ${prefix}` };
+}
+
+/**
+ * Split sorted check keys into consecutive column groups
+ * @returns {Object[]} - [{ key, label, checkKeys }]
+ */
+function groupCheckKeys(checkKeys, groupBy) {
+    if (groupBy === 'none') return [{ key: null, label: null, checkKeys }];
+
+    const groups = [];
+    const byKey = {};
+    for (const checkKey of checkKeys) {
+        const { key, label } = getCheckGroup(checkKey, groupBy);
+        if (!byKey[key]) {
+            byKey[key] = { key, label, checkKeys: [] };
+            groups.push(byKey[key]);
+        }
+        byKey[key].checkKeys.push(checkKey);
+    }
+    return groups;
+}
+
+/**
+ * Roll the checks of one group up into a summary status
+ * @returns {{status: string|null, text: string, title: string}} - status null when none ran
+ */
+function summarizeCheckGroup(checks, checkKeys) {
+    const ran = checkKeys.map(key => checks[key]).filter(Boolean);
+    if (ran.length === 0) return { status: null, text: '—', title: 'Not run' };
+
+    const counts = { 'check-success': 0, 'check-failure': 0, 'check-pending': 0, 'check-unknown': 0 };
+    ran.forEach(check => counts[getCheckStatusClass(check.status)]++);
+
+    // The worst status wins
+    const status = counts['check-failure'] > 0 ? 'failure' :
+                   counts['check-pending'] > 0 ? 'pending' :
+                   counts['check-unknown'] > 0 ? 'unknown' : 'success';
+    const title = `${counts['check-success']} passed, ${counts['check-failure']} failed, ` +
+        `${counts['check-pending']} pending, ${counts['check-unknown']} other`;
+    const text = status === 'failure' ? `✗ ${counts['check-failure']}` : PR_CHECK_STATUS_EMOJI[status];
+    return { status, text, title };
+}
+
+/**
+ * Triage flag of a row, if any
+ * @returns {string|null} - Key of PR_TRIAGE_FLAGS
+ */
+function getPRTriageFlag({ pr, checks, review }) {
+    const statuses = Object.values(checks).map(check => getCheckStatusClass(check.status));
+    const failing = statuses.includes('check-failure');
+    const green = statuses.length > 0 && !failing && !statuses.includes('check-pending');
+    // Without a token the REST loader skips the reviews, so neither flag can be told
+    if (!review) return null;
+    const hasReviewer = (pr.requested_reviewers || []).length > 0 || (pr.requested_teams || []).length > 0 ||
+        review.approvals.length > 0 || review.changesRequested.length > 0;
+
+    if (review.approvals.length > 0 && failing) return 'approved-failing';
+    if (green && !pr.draft && !hasReviewer) return 'needs-reviewer';
+    return null;
+}
+
+/**
+ * Rows passing the search and filters, in the current sort order
+ */
+function filterAndSortPRRows(rows) {
+    const { search, failingOnly, draft, author, label, triage, sort, sortDir } = prMatrixState;
+    const query = search.trim().toLowerCase();
+
+    const filtered = rows.filter(row => {
+        const { pr, checks } = row;
+        if (query && !pr.title.toLowerCase().includes(query) && !pr.user.login.toLowerCase().includes(query)) return false;
+        if (failingOnly && countFailingChecks(checks) === 0) return false;
+        if (draft === 'draft' && !pr.draft) return false;
+        if (draft === 'ready' && pr.draft) return false;
+        if (author !== 'all' && pr.user.login !== author) return false;
+        if (label !== 'all' && !(pr.labels || []).some(l => l.name === label)) return false;
+        if (triage !== 'all' && getPRTriageFlag(row) !== triage) return false;
+        return true;
+    });
+
+    const value = PR_MATRIX_SORTS[sort] || PR_MATRIX_SORTS.number;
+    const direction = sortDir === 'asc' ? 1 : -1;
+    return filtered.sort((a, b) => direction * (value(a) - value(b)) || b.pr.number - a.pr.number);
+}
+
+/**
+ * Apply the pr* keys of the URL state (missing keys mean defaults)
+ */
+function applyPRMatrixUrlState(state) {
+    const [sort, sortDir] = (state.prsort || '').split(URL_STATE_LIST_SEPARATOR);
+
+    prMatrixState.search = state.prq || '';
+    prMatrixState.failingOnly = state.prfailing === '1';
+    prMatrixState.draft = ['draft', 'ready'].includes(state.prdraft) ? state.prdraft : 'all';
+    prMatrixState.author = state.prauthor || 'all';
+    prMatrixState.label = state.prlabel || 'all';
+    prMatrixState.triage = PR_TRIAGE_FLAGS[state.prtriage] ? state.prtriage : 'all';
+    prMatrixState.sort = PR_MATRIX_SORTS[sort] ? sort : 'number';
+    prMatrixState.sortDir = sortDir === 'asc' ? 'asc' : 'desc';
+    prMatrixState.groupBy = PR_MATRIX_GROUPINGS[state.prgroup] ? state.prgroup : 'none';
+    prMatrixState.collapsedGroups = state.prcollapse ? state.prcollapse.split(URL_STATE_LIST_SEPARATOR) : [];
+}
+
+/**
+ * Write the view state to the URL hash, leaving defaults out
+ */
+function writePRMatrixUrlState() {
+    const { search, failingOnly, draft, author, label, triage, sort, sortDir, groupBy, collapsedGroups } = prMatrixState;
+    setUrlState({
+        prq: search || null,
+        prfailing: failingOnly ? '1' : null,
+        prdraft: draft !== 'all' ? draft : null,
+        prauthor: author !== 'all' ? author : null,
+        prlabel: label !== 'all' ? label : null,
+        prtriage: triage !== 'all' ? triage : null,
+        prsort: sort !== 'number' || sortDir !== 'desc' ? [sort, sortDir] : null,
+        prgroup: groupBy !== 'none' ? groupBy : null,
+        prcollapse: collapsedGroups.length > 0 ? collapsedGroups : null
+    });
+}
+
+/**
+ * Render the matrix and its toolbar for a set of rows
+ * @param {HTMLElement} container - Matrix container
+ * @param {Object[]} prData - [{ pr, checks, review }]
+ */
+function renderPRMatrix(container, prData) {
+    prMatrixRows = prData;
+    applyPRMatrixUrlState(getUrlState());
+    registerUrlStateSection('prs', state => {
+        applyPRMatrixUrlState(state);
+        renderPRMatrixToolbar(container);
+        drawPRMatrix(container);
+    });
+
+    renderPRMatrixToolbar(container);
+    drawPRMatrix(container);
+}
+
+/**
+ * Show reloaded rows, keeping the toolbar while it is being used
+ * @param {HTMLElement} container - Matrix container
+ * @param {Object[]} prData - [{ pr, checks, review }]
+ */
+function updatePRMatrix(container, prData) {
+    const toolbar = container.querySelector('.pr-matrix-toolbar');
+    if (prData.length === 0) {
+        prMatrixRows = [];
+        container.innerHTML = '<p class="no-failures">No open PRs</p>';
+        return;
+    }
+    if (!toolbar) {
+        renderPRMatrix(container, prData);
+        return;
+    }
+
+    prMatrixRows = prData;
+    // Rebuilding the toolbar would drop the focus and a half-typed search
+    if (!toolbar.contains(document.activeElement)) renderPRMatrixToolbar(container);
+    drawPRMatrix(container);
+}
+
+/**
+ * Render the search box and filters above the matrix
+ */
+function renderPRMatrixToolbar(container) {
+    let toolbar = container.querySelector('.pr-matrix-toolbar');
+    if (!toolbar) {
+        toolbar = document.createElement('div');
+        toolbar.className = 'pr-matrix-toolbar';
+        container.innerHTML = '';
+        container.appendChild(toolbar);
+        const table = document.createElement('div');
+        table.className = 'pr-matrix-container';
+        container.appendChild(table);
+    }
+
+    const authors = [...new Set(prMatrixRows.map(({ pr }) => pr.user.login))].sort();
+    const labels = [...new Set(prMatrixRows.flatMap(({ pr }) => (pr.labels || []).map(l => l.name)))].sort();
+    const options = values => values.map(value => html`<option value="${value}">${value}</option>`);
+    const triageOptions = Object.entries(PR_TRIAGE_FLAGS)
+        .map(([key, flag]) => html`<option value="${key}">${flag.label}</option>`);
+    const groupOptions = Object.entries(PR_MATRIX_GROUPINGS)
+        .map(([key, label]) => html`<option value="${key}">${label}</option>`);
+
+    toolbar.innerHTML = html`
+        <input type="search" class="pr-search" placeholder="Search title or author" aria-label="Search pull requests">
+        <label><input type="checkbox" class="pr-failing-only"> Failing only</label>
+        <select class="pr-draft-filter" aria-label="Draft state">
+            <option value="all">Drafts and ready</option>
+            <option value="draft">Drafts only</option>
+            <option value="ready">Ready only</option>
+        </select>
+        <select class="pr-author-filter" aria-label="Author">
+            <option value="all">All authors</option>
+            ${options(authors)}
+        </select>
+        <select class="pr-label-filter" aria-label="Label">
+            <option value="all">All labels</option>
+            ${options(labels)}
+        </select>
+        <select class="pr-triage-filter" aria-label="Triage">
+            <option value="all">All PRs</option>
+            ${triageOptions}
+        </select>
+        <select class="pr-group-by" aria-label="Group check columns">${groupOptions}</select>
+        <span class="pr-matrix-count"></span>
+    `;
+
+    const search = toolbar.querySelector('.pr-search');
+    search.value = prMatrixState.search;
+    search.addEventListener('input', () => {
+        prMatrixState.search = search.value;
+        writePRMatrixUrlState();
+        drawPRMatrix(container);
+    });
+
+    const failingOnly = toolbar.querySelector('.pr-failing-only');
+    failingOnly.checked = prMatrixState.failingOnly;
+    failingOnly.addEventListener('change', () => {
+        prMatrixState.failingOnly = failingOnly.checked;
+        writePRMatrixUrlState();
+        drawPRMatrix(container);
+    });
+
+    // Select filters: [selector, state key]
+    [
+        ['.pr-draft-filter', 'draft'],
+        ['.pr-author-filter', 'author'],
+        ['.pr-label-filter', 'label'],
+        ['.pr-triage-filter', 'triage'],
+        ['.pr-group-by', 'groupBy']
+    ].forEach(([selector, key]) => {
+        const select = toolbar.querySelector(selector);
+        select.value = prMatrixState[key];
+        // A linked author or label that no longer has open PRs shows everything
+        if (select.value !== prMatrixState[key]) {
+            prMatrixState[key] = select.value = 'all';
+        }
+        select.addEventListener('change', () => {
+            prMatrixState[key] = select.value;
+            writePRMatrixUrlState();
+            drawPRMatrix(container);
+        });
+    });
+}
+
+/**
+ * Draw the table for the current filters, sort order and grouping
+ */
+function drawPRMatrix(container) {
+    const tableContainer = container.querySelector('.pr-matrix-container');
+    if (!tableContainer) return;
+
+    const rows = filterAndSortPRRows(prMatrixRows);
+    const counter = container.querySelector('.pr-matrix-count');
+    if (counter) counter.textContent = `Showing ${rows.length} of ${prMatrixRows.length} PRs`;
+
+    if (rows.length === 0) {
+        tableContainer.innerHTML = '<p class="loading">No pull requests match the filters.</p>';
+        return;
+    }
+
+    // Columns of the checks the shown PRs ran
+    const checkKeys = sortCheckKeys(new Set(rows.flatMap(({ checks }) => Object.keys(checks))));
+    const groups = groupCheckKeys(checkKeys, prMatrixState.groupBy);
+    const grouped = prMatrixState.groupBy !== 'none';
+    const isCollapsed = group => grouped && prMatrixState.collapsedGroups.includes(group.key);
+
+    // Benchmark deltas of the shown PRs; the column only appears when some PR was benchmarked
+    const impactsByPR = getPRBenchmarkImpacts(prMatrixRows);
+    const impacts = rows.map(({ pr }) => impactsByPR.get(pr.number));
+    const showPerf = impacts.some(Boolean);
+
+    const rowspan = rawHTML(grouped ? ' rowspan="2"' : '');
+    const sortHeader = (sort, label, className) => {
+        const active = prMatrixState.sort === sort;
+        const arrow = active ? (prMatrixState.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+        return html`<th class="${className} sortable${active ? ' sorted' : ''}" data-sort="${sort}"${rowspan}>${label}${arrow}</th>`;
+    };
+    const plainHeader = (label, className) => html`<th class="${className}"${rowspan}>${label}</th>`;
+
+    let markup = '<table class="pr-matrix">';
+
+    // Header rows: group headers (when grouped), then one header per check or collapsed group
+    markup += '<thead>';
+    markup += html`<tr class="${grouped ? 'check-group-row' : null}">`;
+    markup += sortHeader('number', 'Pull Request', 'pr-info-cell');
+    markup += plainHeader('Author', 'pr-author-cell');
+    markup += plainHeader('Reviewers', 'pr-reviewers-cell');
+    markup += plainHeader('Reviews', 'pr-reviews-cell');
+    markup += plainHeader('Merge', 'pr-merge-cell');
+    markup += plainHeader('Labels', 'pr-labels-cell');
+    markup += sortHeader('age', 'Age', 'pr-age-cell');
+    markup += sortHeader('updated', 'Updated', 'pr-age-cell');
+    markup += sortHeader('failures', 'Failing', 'pr-failures-cell');
+    if (showPerf) markup += plainHeader('Perf', 'pr-perf-cell');
+
+    const watchButton = (attribute, value, watched, label) => html`
+        <button type="button" class="watch-toggle${watched ? ' watched' : ''}" ${rawHTML(attribute)}="${value}"
+            title="${watched ? 'Unwatch' : 'Watch'} ${label}">${watched ? '★' : '☆'}</button>`;
+
+    const checkHeader = checkKey => {
+        const [checkName, checkType] = checkKey.split('|');
+        const typeLabel = checkType === 'github' ? '🔵' : '🟣'; // Blue for GitHub, Purple for External
+        const watch = watchButton('data-check', checkKeys.indexOf(checkKey), prWatches.checks.has(checkKey), 'this check');
+        return html`<th class="check-header"><div class="check-name" title="${checkName}">${typeLabel} ${checkName}</div>${watch}</th>`;
+    };
+
+    if (grouped) {
+        groups.forEach((group, idx) => {
+            const collapsed = isCollapsed(group);
+            const span = collapsed ? 1 : group.checkKeys.length;
+            markup += html`
+                <th class="check-group-header${collapsed ? ' collapsed' : ''}" colspan="${span}">
+                    <button type="button" class="check-group-toggle" data-group="${idx}" title="${collapsed ? 'Expand' : 'Collapse'} ${group.label}">
+                        ${collapsed ? '▸' : '▾'} ${group.label} (${group.checkKeys.length})
+                    </button>
+                </th>`;
+        });
+        markup += '</tr><tr>';
+    }
+    for (const group of groups) {
+        if (isCollapsed(group)) {
+            markup += html`<th class="check-header check-group-summary-header"><div class="check-name" title="${group.label}">Σ ${group.label}</div></th>`;
+        } else {
+            group.checkKeys.forEach(checkKey => { markup += checkHeader(checkKey); });
+        }
+    }
+    markup += '</tr></thead>';
+
+    // Body rows
+    markup += '<tbody>';
+
+    for (const [rowIdx, row] of rows.entries()) {
+        const { pr, checks, review } = row;
+        const failures = countFailingChecks(checks);
+        const triage = getPRTriageFlag(row);
+        const triageBadge = triage
+            ? html` <span class="pr-triage-badge" title="${PR_TRIAGE_FLAGS[triage].description}">${PR_TRIAGE_FLAGS[triage].label}</span>`
+            : '';
+        const reviewers = [
+            ...(pr.requested_reviewers || []).map(user => user.login),
+            ...(pr.requested_teams || []).map(team => `@${team.name}`)
+        ];
+        const mergeState = pr.mergeable_state || 'unknown';
+        const rowClasses = [
+            triage ? `pr-triage-${triage}` : null,
+            prMatrixChanges.newPRs.has(pr.number) ? 'pr-new' : null
+        ].filter(Boolean);
+        const watch = watchButton('data-pr', pr.number, prWatches.prs.has(pr.number), 'this PR');
+        const labels = (pr.labels || []).map(l => {
+            // Only a hex color may end up in the style attribute
+            const style = /^[0-9a-f]{6}$/i.test(l.color || '') ? `border-color: #${l.color}` : null;
+            return html`<span class="pr-label" style="${style}">${l.name}</span> `;
+        });
+
+        markup += html`<tr class="${rowClasses.length > 0 ? rowClasses.join(' ') : null}">`;
+        markup += html`<td class="pr-info-cell">${watch} <a href="${safeURL(pr.html_url)}" target="_blank">#${pr.number}: ${pr.title}</a>${pr.draft ? html` <span class="pr-draft-badge">Draft</span>` : ''}${triageBadge}</td>`;
+        markup += html`<td class="pr-author-cell">${pr.user.login}</td>`;
+        markup += html`<td class="pr-reviewers-cell">${reviewers.length > 0 ? reviewers.join(', ') : '—'}</td>`;
+        markup += review ? html`
+            <td class="pr-reviews-cell" title="Approved: ${review.approvals.join(', ') || 'nobody'}; changes requested: ${review.changesRequested.join(', ') || 'nobody'}">
+                <span class="review-approvals">✓ ${review.approvals.length}</span>
+                <span class="review-changes${review.changesRequested.length > 0 ? ' has-changes' : ''}">✎ ${review.changesRequested.length}</span>
+            </td>`
+            : html`<td class="pr-reviews-cell" title="Reviews are only loaded with a GitHub token">?</td>`;
+        markup += html`<td class="pr-merge-cell merge-${mergeState}">${PR_MERGE_STATES[mergeState] || mergeState}</td>`;
+        markup += html`<td class="pr-labels-cell">${labels}</td>`;
+        markup += html`<td class="pr-age-cell" title="Opened ${pr.created_at}">${pr.created_at ? formatAge(pr.created_at) : '?'}</td>`;
+        markup += html`<td class="pr-age-cell" title="Updated ${pr.updated_at}">${pr.updated_at ? formatAge(pr.updated_at) : '?'}</td>`;
+        markup += html`<td class="pr-failures-cell${failures > 0 ? ' has-failures' : ''}">${failures}</td>`;
+        if (showPerf) {
+            const impact = impacts[rowIdx];
+            const title = impact
+                ? `Total time at the ${impact.of} commit ${impact.commit.substring(0, 7)} vs the latest nightly run on the same machine`
+                : 'Neither the head commit nor the merge base was benchmarked';
+            markup += html`<td class="pr-perf-cell" title="${title}">${renderPRBenchmarkImpact(impact)}</td>`;
+        }
+
+        const previousStatus = checkKey => prMatrixChanges.changedCells.get(`${pr.number}|${checkKey}`);
+        const cellChanged = checkKey => prMatrixChanges.changedCells.has(`${pr.number}|${checkKey}`);
+
+        for (const group of groups) {
+            if (isCollapsed(group)) {
+                const summary = summarizeCheckGroup(checks, group.checkKeys);
+                const statusClass = summary.status ? getCheckStatusClass(summary.status) : 'check-empty';
+                const changed = group.checkKeys.some(cellChanged) ? ' check-changed' : '';
+                markup += html`<td class="check-cell check-group-summary ${statusClass}${changed}" title="${group.label}: ${summary.title}">${summary.text}</td>`;
+                continue;
+            }
+            for (const checkKey of group.checkKeys) {
+                const check = checks[checkKey];
+
+                if (check) {
+                    const emoji = PR_CHECK_STATUS_EMOJI[check.status] || '?';
+                    const statusClass = getCheckStatusClass(check.status);
+                    const changed = cellChanged(checkKey);
+                    const title = `${check.name}: ${check.status}${changed ? ` (was ${previousStatus(checkKey) || 'not run'})` : ''}`;
+                    markup += html`
+                        <td class="check-cell ${statusClass}${changed ? ' check-changed' : ''}" title="${title}"
+                            data-row="${rowIdx}" data-check="${checkKeys.indexOf(checkKey)}" tabindex="0">${emoji}</td>`;
+                } else {
+                    markup += '<td class="check-cell check-empty" title="Not run">—</td>';
+                }
+            }
+        }
+
+        markup += '</tr>';
+    }
+
+    markup += '</tbody>';
+    markup += '</table>';
+
+    tableContainer.innerHTML = markup;
+
+    tableContainer.querySelectorAll('th.sortable').forEach(header => {
+        header.addEventListener('click', () => {
+            const sort = header.dataset.sort;
+            prMatrixState.sortDir = prMatrixState.sort === sort && prMatrixState.sortDir === 'desc' ? 'asc' : 'desc';
+            prMatrixState.sort = sort;
+            writePRMatrixUrlState();
+            drawPRMatrix(container);
+        });
+    });
+
+    tableContainer.querySelectorAll('.check-group-toggle').forEach(button => {
+        button.addEventListener('click', () => {
+            const key = groups[button.dataset.group].key;
+            prMatrixState.collapsedGroups = prMatrixState.collapsedGroups.includes(key)
+                ? prMatrixState.collapsedGroups.filter(k => k !== key)
+                : [...prMatrixState.collapsedGroups, key];
+            writePRMatrixUrlState();
+            drawPRMatrix(container);
+        });
+    });
+
+    tableContainer.querySelectorAll('td.check-cell[data-check]').forEach(cell => {
+        const { pr, checks } = rows[cell.dataset.row];
+        const open = () => openCheckDetails(cell, pr, checks[checkKeys[cell.dataset.check]]);
+        cell.addEventListener('click', open);
+        cell.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                open();
+            }
+        });
+    });
+
+    tableContainer.querySelectorAll('.perf-delta').forEach(link => {
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            showCommitsInComparePanel(link.dataset.benchmark, link.dataset.from, link.dataset.to, link.dataset.hardware);
+        });
+    });
+
+    tableContainer.querySelectorAll('.watch-toggle').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.pr) {
+                togglePRWatch('prs', parseInt(button.dataset.pr, 10));
+            } else {
+                togglePRWatch('checks', checkKeys[button.dataset.check]);
+            }
+            drawPRMatrix(container);
+        });
+    });
+}
@@ -0,0 +1,304 @@
+/**
+ * PR Matrix Auto-Refresh and Notifications
+ *
+ * Optionally reloads the PR matrix every few minutes (`prMatrix.refreshMinutes`
+ * in dashboard.config.json, or `#prrefresh=5` in the URL) so the dashboard
+ * can stay open on a wall screen. While the PR snapshot is shown a cycle
+ * only re-reads pr_status.json. Live cycles are skipped when the remaining
+ * API quota would not cover them; REST requests are conditional (see
+ * github_api.js), so unchanged data costs nothing, while the GraphQL loader
+ * spends its query points on every cycle. After each refresh the
+ * cells whose status changed and new PRs are highlighted until the next one,
+ * and, once enabled, a browser notification is shown when a watched PR or
+ * check turns red. Watches and the notification switch are kept in
+ * localStorage.
+ */
+
+// Auto-refresh intervals offered in the controls (minutes, 0 = off)
+const PR_REFRESH_INTERVALS = [0, 1, 2, 5, 15, 30];
+
+// localStorage keys
+const PR_REFRESH_STORAGE_KEYS = {
+    watches: 'specfempp-dashboard:pr-watches',
+    notify: 'specfempp-dashboard:pr-notify'
+};
+
+// Polling state
+const prRefreshState = {
+    minutes: 0,          // Interval, 0 when off
+    timer: null,         // Pending setTimeout
+    running: false,      // A refresh is in flight
+    lastRefresh: null,   // Date of the last successful refresh
+    lastCost: 0,         // Quota the last refresh used: REST requests, or GraphQL points
+    message: ''          // Outcome of the last cycle
+};
+
+// Highlights of the last refresh
+const prMatrixChanges = {
+    newPRs: new Set(),      // PR numbers
+    changedCells: new Map() // "number|checkKey" -> previous status (null when the check is new)
+};
+
+// Watched PR numbers and check keys ("name|type")
+const prWatches = loadPRWatches();
+
+/**
+ * Read a JSON value from localStorage
+ */
+function readStoredJSON(key, fallback) {
+    try {
+        const value = localStorage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage (ignored when storage is unavailable)
+ */
+function writeStoredJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
+
+/**
+ * Load the watched PRs and checks
+ */
+function loadPRWatches() {
+    const stored = readStoredJSON(PR_REFRESH_STORAGE_KEYS.watches, {});
+    return {
+        prs: new Set(stored.prs || []),
+        checks: new Set(stored.checks || [])
+    };
+}
+
+/**
+ * Whether notifications are switched on (and allowed by the browser)
+ */
+function arePRNotificationsEnabled() {
+    return readStoredJSON(PR_REFRESH_STORAGE_KEYS.notify, false) &&
+        typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+/**
+ * Watch or unwatch a PR (number) or check (key)
+ * @param {string} kind - 'prs' or 'checks'
+ */
+function togglePRWatch(kind, value) {
+    const watched = prWatches[kind];
+    if (watched.has(value)) {
+        watched.delete(value);
+    } else {
+        watched.add(value);
+    }
+    writeStoredJSON(PR_REFRESH_STORAGE_KEYS.watches, {
+        prs: [...prWatches.prs],
+        checks: [...prWatches.checks]
+    });
+}
+
+/**
+ * Compare two loads of the matrix
+ *
+ * Without previous rows (the first load failed or found no PRs) there is
+ * nothing to compare against, so nothing counts as changed.
+ *
+ * @param {Object[]} previousRows - Rows shown so far
+ * @param {Object[]} rows - Freshly loaded rows
+ * @returns {Object} - { newPRs, changedCells, turnedRed: [{ pr, check, checkKey }] }
+ */
+function diffPRRows(previousRows, rows) {
+    const previousByNumber = new Map(previousRows.map(row => [row.pr.number, row]));
+    const newPRs = new Set();
+    const changedCells = new Map();
+    const turnedRed = [];
+    if (previousRows.length === 0) return { newPRs, changedCells, turnedRed };
+
+    for (const { pr, checks } of rows) {
+        const previous = previousByNumber.get(pr.number);
+        if (!previous) newPRs.add(pr.number);
+
+        for (const [checkKey, check] of Object.entries(checks)) {
+            const before = previous ? previous.checks[checkKey] : null;
+            if (previous && before && before.status === check.status) continue;
+
+            if (previous) changedCells.set(`${pr.number}|${checkKey}`, before ? before.status : null);
+            const wasFailing = before && getCheckStatusClass(before.status) === 'check-failure';
+            if (!wasFailing && getCheckStatusClass(check.status) === 'check-failure') {
+                turnedRed.push({ pr, check, checkKey });
+            }
+        }
+    }
+    return { newPRs, changedCells, turnedRed };
+}
+
+/**
+ * Notify about watched PRs and checks that turned red
+ */
+function notifyTurnedRed(turnedRed) {
+    if (!arePRNotificationsEnabled()) return;
+
+    turnedRed
+        .filter(({ pr, checkKey }) => prWatches.prs.has(pr.number) || prWatches.checks.has(checkKey))
+        .forEach(({ pr, check }) => {
+            const notification = new Notification(`#${pr.number} ${check.name}: ${check.status}`, {
+                body: pr.title,
+                tag: `pr-${pr.number}-${check.name}`
+            });
+            notification.onclick = () => window.open(pr.html_url, '_blank');
+        });
+}
+
+/**
+ * Quota a refresh used of the rate-limit resource it ran against
+ *
+ * GraphQL queries cost points by the number of nodes they may return, so the
+ * cost is read off the `X-RateLimit-Remaining` headers before and after; the
+ * request count is only the fallback when the resource or its quota window
+ * changed in between.
+ *
+ * @param {Object} before - Copy of githubRateLimit taken before the refresh
+ * @param {number} requests - Requests of the refresh that counted against the quota
+ */
+function getRefreshQuotaCost(before, requests) {
+    const after = githubRateLimit;
+    if (before.remaining !== null && before.resource === after.resource && before.reset === after.reset) {
+        return Math.max(0, before.remaining - after.remaining);
+    }
+    return requests;
+}
+
+/**
+ * Reload the matrix, highlight what changed and notify about watched failures
+ * @param {HTMLElement} container - Matrix container
+ * @param {Object} prConfig - prMatrix section of the dashboard config
+ */
+async function refreshPRMatrix(container, prConfig) {
+    if (prRefreshState.running) return;
+
+    // Skip a live cycle when the quota would not cover it
+    const { remaining, reset, resource } = githubRateLimit;
+    const live = prStatusSource.snapshot === null;
+    if (live && remaining !== null && remaining < prRefreshState.lastCost + GITHUB_API_CONFIG.lowQuotaThreshold) {
+        const resetTime = new Date(reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const unit = resource === 'graphql' ? 'GraphQL points' : 'API requests';
+        prRefreshState.message = `Refresh skipped: ${remaining} ${unit} left until ${resetTime}`;
+        renderPRRefreshControls(container, prConfig);
+        return;
+    }
+
+    prRefreshState.running = true;
+    const requestsBefore = githubRequestCount;
+    const quotaBefore = { ...githubRateLimit };
+    try {
+        const rows = await loadPRRows(prConfig);
+        const changes = diffPRRows(prMatrixRows, rows);
+        prMatrixChanges.newPRs = changes.newPRs;
+        prMatrixChanges.changedCells = changes.changedCells;
+
+        updatePRMatrix(container, rows);
+        notifyTurnedRed(changes.turnedRed);
+
+        prRefreshState.lastRefresh = new Date();
+        prRefreshState.lastCost = getRefreshQuotaCost(quotaBefore, githubRequestCount - requestsBefore);
+        const changeCount = changes.newPRs.size + changes.changedCells.size;
+        prRefreshState.message = changeCount > 0 ? `${changeCount} change${changeCount === 1 ? '' : 's'}` : 'No changes';
+    } catch (error) {
+        // Keep showing the previous data
+        console.error('Error refreshing PRs:', error);
+        prRefreshState.message = `Refresh failed: ${error.message}`;
+    } finally {
+        prRefreshState.running = false;
+        renderPRStatusSource(container, prConfig);
+        renderPRRefreshControls(container, prConfig);
+    }
+}
+
+/**
+ * (Re)start the timer for the current interval
+ */
+function schedulePRRefresh(container, prConfig) {
+    clearTimeout(prRefreshState.timer);
+    prRefreshState.timer = null;
+    if (prRefreshState.minutes <= 0) return;
+
+    prRefreshState.timer = setTimeout(async () => {
+        // Hidden tabs do not need fresh data
+        if (!document.hidden) await refreshPRMatrix(container, prConfig);
+        schedulePRRefresh(container, prConfig);
+    }, prRefreshState.minutes * 60 * 1000);
+}
+
+/**
+ * Set the auto-refresh interval
+ */
+function setPRRefreshInterval(container, prConfig, minutes) {
+    prRefreshState.minutes = minutes;
+    setUrlState({ prrefresh: minutes !== (prConfig.refreshMinutes || 0) ? String(minutes) : null });
+    schedulePRRefresh(container, prConfig);
+    renderPRRefreshControls(container, prConfig);
+}
+
+/**
+ * Render the auto-refresh and notification controls
+ */
+function renderPRRefreshControls(container, prConfig, controlsId = 'pr-refresh-controls') {
+    const controls = document.getElementById(controlsId);
+    if (!controls) return;
+
+    const intervals = PR_REFRESH_INTERVALS.includes(prRefreshState.minutes)
+        ? PR_REFRESH_INTERVALS
+        : [...PR_REFRESH_INTERVALS, prRefreshState.minutes].sort((a, b) => a - b);
+    const options = intervals
+        .map(minutes => html`<option value="${minutes}">${minutes === 0 ? 'Off' : `Every ${minutes} min`}</option>`);
+    const lastRefresh = prRefreshState.lastRefresh
+        ? `Updated ${prRefreshState.lastRefresh.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : '';
+    const status = [lastRefresh, prRefreshState.message].filter(Boolean).join(' · ');
+    const notificationsSupported = typeof Notification !== 'undefined';
+
+    controls.innerHTML = html`
+        <label>Auto-refresh <select class="pr-refresh-interval">${options}</select></label>
+        <button type="button" class="export-button pr-refresh-now"${rawHTML(prRefreshState.running ? ' disabled' : '')}>Refresh now</button>
+        ${notificationsSupported && html`<label title="Notify when a watched (★) PR or check turns red"><input type="checkbox" class="pr-notify"> Notifications</label>`}
+        <span class="pr-refresh-status">${status}</span>
+    `;
+
+    const select = controls.querySelector('.pr-refresh-interval');
+    select.value = String(prRefreshState.minutes);
+    select.addEventListener('change', () => setPRRefreshInterval(container, prConfig, parseInt(select.value, 10)));
+
+    controls.querySelector('.pr-refresh-now').addEventListener('click', () => refreshPRMatrix(container, prConfig));
+
+    const notify = controls.querySelector('.pr-notify');
+    if (notify) {
+        notify.checked = arePRNotificationsEnabled();
+        notify.addEventListener('change', async () => {
+            if (notify.checked && Notification.permission !== 'granted') {
+                notify.checked = await Notification.requestPermission() === 'granted';
+            }
+            writeStoredJSON(PR_REFRESH_STORAGE_KEYS.notify, notify.checked);
+        });
+    }
+}
+
+/**
+ * Start auto-refresh with the interval from the URL or the config
+ * @param {HTMLElement} container - Matrix container
+ * @param {Object} prConfig - prMatrix section of the dashboard config
+ */
+function startPRAutoRefresh(container, prConfig) {
+    const applyState = state => {
+        const minutes = parseInt(state.prrefresh, 10);
+        prRefreshState.minutes = minutes >= 0 ? minutes : (prConfig.refreshMinutes || 0);
+        schedulePRRefresh(container, prConfig);
+        renderPRRefreshControls(container, prConfig);
+    };
+    registerUrlStateSection('pr-refresh', applyState);
+    prRefreshState.lastRefresh = new Date();
+    applyState(getUrlState());
+}
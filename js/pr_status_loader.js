@@ -0,0 +1,340 @@
+/**
+ * Pull Request Status Loaders
+ *
+ * Loads the open pull requests of a repository with their CI checks and
+ * reviews, either with one paginated GraphQL query (`prMatrix.loader:
+ * "graphql"`, needs a token) or with the REST API (two requests per PR
+ * anonymously, five with a token).
+ * Both produce the same `{ pr, checks, review }` rows, with checks keyed by
+ * `name|github` for check runs and `name|external` for commit statuses,
+ * the latest review verdict of every reviewer (null when not loaded), and
+ * `pr.base.sha` is where the PR branched off (the parent of its first
+ * commit; null when unknown, never the tip of the base branch). Checks keep
+ * the details the drill-down popover shows: timing, output and log link of
+ * check runs, description and target URL of statuses.
+ *
+ * GraphQL queries are POST requests and cannot be conditional, so every load
+ * with the GraphQL loader spends rate-limit points even when nothing changed.
+ * No cheap probe could skip it either: a new check result changes neither the
+ * PR list nor a PR's `updatedAt`. The REST loader only pays for what changed.
+ *
+ * Shared by the dashboard (pr_info_fetch.js) and the Node script
+ * scripts/fetch_pr_status.js, which writes the rows to pr_status.json. The
+ * loaders take the GitHub API client of github_api.js as their last
+ * parameter: the script passes the required module, the dashboard leaves it
+ * out and the globals of the script tag are used.
+ */
+
+// Requests the REST loader makes per PR (besides the pages of the PR list)
+const PR_REST_REQUESTS_PER_PR = {
+    anonymous: 2, // Check runs and statuses
+    token: 5      // ...plus reviews, merge state and first commit
+};
+
+// Open PRs per GraphQL page; each also carries up to 100 check contexts
+const PR_GRAPHQL_PAGE_SIZE = 50;
+
+// Check runs and commit statuses of a commit's status check rollup
+const PR_CHECK_CONTEXTS_FRAGMENT = `
+    fragment checkContexts on StatusCheckRollupContextConnection {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+            __typename
+            ... on CheckRun {
+                name status conclusion startedAt completedAt detailsUrl permalink title summary
+                annotations(first: 1) { totalCount }
+            }
+            ... on StatusContext { context state description targetUrl }
+        }
+    }
+`;
+
+/**
+ * The API client as the dashboard provides it, through the globals of github_api.js
+ */
+function getGlobalGitHubApi() {
+    return { GITHUB_API_CONFIG, getGitHubToken, githubFetchJSON, fetchAllPages, githubGraphQL, mapWithConcurrency };
+}
+
+/**
+ * Map a commit status state to the statuses used in the matrix
+ */
+function normalizeStatusState(state) {
+    return state === 'success' ? 'success' : 
+           state === 'failure' ? 'failure' : 
+           state === 'error' ? 'error' : 
+           state === 'pending' ? 'pending' : 'unknown';
+}
+
+/**
+ * Summarize reviews into the reviewers whose latest verdict approves or requests changes
+ * @param {Object[]} reviews - Reviews in submission order ({ user: { login }, state })
+ * @returns {{approvals: string[], changesRequested: string[]}} - Reviewer logins
+ */
+function summarizeReviews(reviews) {
+    // Comments do not change a reviewer's verdict; a dismissal clears it
+    const verdicts = {};
+    for (const review of reviews) {
+        if (!review.user) continue;
+        if (['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+            verdicts[review.user.login] = review.state;
+        }
+    }
+    const byState = state => Object.keys(verdicts).filter(login => verdicts[login] === state).sort();
+    return { approvals: byState('APPROVED'), changesRequested: byState('CHANGES_REQUESTED') };
+}
+
+/**
+ * Load open PRs, their checks and reviews with the REST API
+ *
+ * Besides the PR list this takes two requests per PR: check runs and
+ * statuses. With a token three more follow: reviews, the PR itself (the list
+ * does not include `mergeable_state`) and its first commit, whose parent is
+ * where the PR branched off. The anonymous quota of 60 requests per hour
+ * would not last for those, so without a token the reviews are null, the
+ * merge state is unknown and `base.sha` is null.
+ *
+ * @param {string} repo - Repository (owner/name)
+ * @param {Object} [api] - API client (github_api.js exports), the globals when omitted
+ * @returns {Promise<Object[]>} - [{ pr, checks, review }]
+ */
+async function loadPRChecksREST(repo, api = getGlobalGitHubApi()) {
+    const { GITHUB_API_CONFIG, getGitHubToken, githubFetchJSON, fetchAllPages, mapWithConcurrency } = api;
+    const withToken = Boolean(getGitHubToken().token);
+
+    // Fetch every open pull request (all pages)
+    const prs = await fetchAllPages(`/repos/${repo}/pulls?state=open`);
+    
+    return mapWithConcurrency(prs, GITHUB_API_CONFIG.concurrency, async pr => {
+        const checks = {};
+        
+        // Check runs and statuses (for external checks like Jenkins), all pages of each,
+        // plus the reviews, the merge state and the fork point when there is a token
+        const [checkRuns, statuses, reviews, details, forkPoint] = await Promise.all([
+            fetchAllPages(`/repos/${repo}/commits/${pr.head.sha}/check-runs`, data => data.check_runs)
+                .catch(error => {
+                    console.warn(`Failed to fetch check runs of PR #${pr.number}:`, error);
+                    return [];
+                }),
+            fetchAllPages(`/repos/${repo}/commits/${pr.head.sha}/status`, data => data.statuses)
+                .catch(error => {
+                    console.warn(`Failed to fetch statuses of PR #${pr.number}:`, error);
+                    return [];
+                }),
+            !withToken ? null : fetchAllPages(`/repos/${repo}/pulls/${pr.number}/reviews`)
+                .catch(error => {
+                    console.warn(`Failed to fetch reviews of PR #${pr.number}:`, error);
+                    return [];
+                }),
+            !withToken ? {} : githubFetchJSON(`/repos/${repo}/pulls/${pr.number}`)
+                .then(({ data }) => data)
+                .catch(error => {
+                    console.warn(`Failed to fetch merge state of PR #${pr.number}:`, error);
+                    return {};
+                }),
+            // PR commits are listed oldest first
+            !withToken ? null : githubFetchJSON(`/repos/${repo}/pulls/${pr.number}/commits?per_page=1`)
+                .then(({ data }) => data[0]?.parents[0]?.sha || null)
+                .catch(error => {
+                    console.warn(`Failed to fetch the first commit of PR #${pr.number}:`, error);
+                    return null;
+                })
+        ]);
+        
+        for (const run of checkRuns) {
+            const output = run.output || {};
+            checks[`${run.name}|github`] = {
+                name: run.name,
+                status: run.conclusion || run.status,
+                type: 'github',
+                started_at: run.started_at || null,
+                completed_at: run.completed_at || null,
+                title: output.title || null,
+                summary: output.summary || null,
+                annotations_count: output.annotations_count || 0,
+                html_url: run.html_url || null,
+                details_url: run.details_url || null
+            };
+        }
+        
+        for (const check of statuses) {
+            checks[`${check.context}|external`] = {
+                name: check.context,
+                status: normalizeStatusState(check.state),
+                type: 'external',
+                description: check.description || null,
+                target_url: check.target_url || null
+            };
+        }
+        
+        return {
+            // The list's base.sha is the tip of the base branch, not the fork point
+            pr: { ...pr, base: { ...pr.base, sha: forkPoint }, mergeable_state: details.mergeable_state || 'unknown' },
+            checks,
+            review: reviews ? summarizeReviews(reviews) : null
+        };
+    });
+}
+
+/**
+ * Load open PRs, their reviews and the status check rollup of their head commits with GraphQL
+ * @param {string} repo - Repository (owner/name)
+ * @param {Object} [api] - API client (github_api.js exports), the globals when omitted
+ * @returns {Promise<Object[]>} - [{ pr, checks, review }], PRs shaped like REST pull request objects
+ */
+async function loadPRChecksGraphQL(repo, api = getGlobalGitHubApi()) {
+    const { GITHUB_API_CONFIG, githubGraphQL, mapWithConcurrency } = api;
+    const [owner, name] = repo.split('/');
+    const query = `
+        query($owner: String!, $name: String!, $cursor: String) {
+            repository(owner: $owner, name: $name) {
+                pullRequests(states: OPEN, first: ${PR_GRAPHQL_PAGE_SIZE}, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        number title url isDraft createdAt updatedAt baseRefName mergeStateStatus
+                        author { login }
+                        labels(first: 20) { nodes { name color } }
+                        reviewRequests(first: 20) {
+                            nodes { requestedReviewer { ... on User { login } ... on Team { name } } }
+                        }
+                        latestOpinionatedReviews(first: 50) { nodes { state author { login } } }
+                        firstCommit: commits(first: 1) { nodes { commit { parents(first: 1) { nodes { oid } } } } }
+                        commits(last: 1) {
+                            nodes {
+                                commit {
+                                    id oid
+                                    statusCheckRollup { contexts(first: 100) { ...checkContexts } }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        ${PR_CHECK_CONTEXTS_FRAGMENT}
+    `;
+    
+    const nodes = [];
+    let cursor = null;
+    do {
+        const data = await githubGraphQL(query, { owner, name, cursor });
+        const page = data.repository.pullRequests;
+        nodes.push(...page.nodes);
+        cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (cursor);
+    
+    return mapWithConcurrency(nodes, GITHUB_API_CONFIG.concurrency, async node => {
+        const commit = node.commits.nodes[0]?.commit;
+        // The parent of the PR's first commit is where it branched off
+        const forkPoint = node.firstCommit?.nodes[0]?.commit.parents.nodes[0]?.oid;
+        const contexts = commit?.statusCheckRollup
+            ? await fetchRemainingCheckContexts(commit.id, commit.statusCheckRollup.contexts, api)
+            : [];
+        
+        const checks = {};
+        for (const context of contexts) {
+            if (context.__typename === 'CheckRun') {
+                checks[`${context.name}|github`] = {
+                    name: context.name,
+                    status: (context.conclusion || context.status).toLowerCase(),
+                    type: 'github',
+                    started_at: context.startedAt || null,
+                    completed_at: context.completedAt || null,
+                    title: context.title || null,
+                    summary: context.summary || null,
+                    annotations_count: context.annotations ? context.annotations.totalCount : 0,
+                    html_url: context.permalink || null,
+                    details_url: context.detailsUrl || null
+                };
+            } else if (context.__typename === 'StatusContext') {
+                checks[`${context.context}|external`] = {
+                    name: context.context,
+                    status: normalizeStatusState(context.state.toLowerCase()),
+                    type: 'external',
+                    description: context.description || null,
+                    target_url: context.targetUrl || null
+                };
+            }
+        }
+        
+        const pr = {
+            number: node.number,
+            title: node.title,
+            html_url: node.url,
+            draft: node.isDraft,
+            created_at: node.createdAt,
+            updated_at: node.updatedAt,
+            user: { login: node.author ? node.author.login : 'ghost' },
+            head: { sha: commit ? commit.oid : null },
+            base: { ref: node.baseRefName, sha: forkPoint || null },
+            labels: node.labels.nodes,
+            mergeable_state: (node.mergeStateStatus || 'unknown').toLowerCase(),
+            requested_reviewers: node.reviewRequests.nodes
+                .filter(request => request.requestedReviewer?.login)
+                .map(request => ({ login: request.requestedReviewer.login })),
+            requested_teams: node.reviewRequests.nodes
+                .filter(request => request.requestedReviewer?.name)
+                .map(request => ({ name: request.requestedReviewer.name }))
+        };
+        const reviews = node.latestOpinionatedReviews.nodes
+            .map(review => ({ user: review.author, state: review.state }));
+        return { pr, checks, review: summarizeReviews(reviews) };
+    });
+}
+
+/**
+ * Follow the pagination of a commit's check contexts beyond the first page
+ * @param {string} commitId - GraphQL node ID of the commit
+ * @param {Object} connection - First page of the contexts connection
+ * @param {Object} api - API client
+ * @returns {Promise<Object[]>} - All context nodes
+ */
+async function fetchRemainingCheckContexts(commitId, connection, { githubGraphQL }) {
+    const query = `
+        query($id: ID!, $cursor: String) {
+            node(id: $id) {
+                ... on Commit { statusCheckRollup { contexts(first: 100, after: $cursor) { ...checkContexts } } }
+            }
+        }
+        ${PR_CHECK_CONTEXTS_FRAGMENT}
+    `;
+    
+    const contexts = [...connection.nodes];
+    let pageInfo = connection.pageInfo;
+    while (pageInfo.hasNextPage) {
+        const data = await githubGraphQL(query, { id: commitId, cursor: pageInfo.endCursor });
+        const page = data.node.statusCheckRollup.contexts;
+        contexts.push(...page.nodes);
+        pageInfo = page.pageInfo;
+    }
+    return contexts;
+}
+
+/**
+ * Load the rows with the configured loader
+ *
+ * GraphQL needs a token, so without one (or when the query fails) the REST
+ * loader is used instead.
+ * @param {Object} prConfig - prMatrix section of the dashboard config
+ * @param {Object} [api] - API client (github_api.js exports), the globals when omitted
+ */
+async function loadPRChecks(prConfig, api = getGlobalGitHubApi()) {
+    const hasToken = Boolean(api.getGitHubToken().token);
+    
+    if (prConfig.loader === 'graphql') {
+        if (hasToken) {
+            try {
+                return await loadPRChecksGraphQL(prConfig.repo, api);
+            } catch (error) {
+                console.warn('GraphQL PR loader failed, falling back to REST:', error);
+            }
+        } else {
+            console.log('No GitHub token configured, loading PRs with the REST API');
+        }
+    }
+    return loadPRChecksREST(prConfig.repo, api);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PR_REST_REQUESTS_PER_PR, loadPRChecks, loadPRChecksREST, loadPRChecksGraphQL, summarizeReviews };
+}
@@ -0,0 +1,181 @@
+/**
+ * Performance Regression Detection for Nightly Benchmarks
+ *
+ * Checks every benchmark/region time series against a rolling baseline
+ * (trailing median with a MAD-based robust spread) and flags days that
+ * exceed the configured threshold. Flagged days are marked on the benchmark
+ * subplots and summarized in a "Detected regressions" table above the plots.
+ * The detection functions are also used by scripts/check_regressions.js.
+ */
+
+// Configuration for regression detection
+const REGRESSION_CONFIG = {
+    windowSize: 10,         // Number of preceding benchmarked days forming the baseline
+    minBaselinePoints: 5,   // Days with a shorter history are never flagged
+    zThreshold: 4,          // Robust z-score a day must exceed to be flagged
+    minPercentChange: 5     // ...and it must also be at least this much slower (%)
+};
+
+// Scale factor turning a median absolute deviation into a standard deviation estimate
+const MAD_TO_SIGMA = 1.4826;
+
+/**
+ * Median of an array of numbers
+ * @param {number[]} values - Values (not modified)
+ * @returns {number} - Median, or NaN for an empty array
+ */
+function median(values) {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Robust spread estimate (scaled median absolute deviation)
+ * @param {number[]} values - Values
+ * @param {number} center - Median of the values
+ * @returns {number} - Spread in the same units as the values
+ */
+function robustSpread(values, center) {
+    return MAD_TO_SIGMA * median(values.map(v => Math.abs(v - center)));
+}
+
+/**
+ * Compare one value against a baseline window
+ * @param {number} value - Value to check
+ * @param {number[]} window - Baseline values
+ * @param {Object} config - Detection settings (see REGRESSION_CONFIG)
+ * @returns {Object} - { baseline, percentChange, zScore, flagged }
+ */
+function compareWithBaseline(value, window, config = REGRESSION_CONFIG) {
+    const baseline = median(window);
+    const spread = robustSpread(window, baseline);
+    const percentChange = (value - baseline) / baseline * 100;
+    const zScore = spread > 0 ? (value - baseline) / spread : (value > baseline ? Infinity : 0);
+    const flagged = window.length >= config.minBaselinePoints &&
+        zScore > config.zThreshold && percentChange >= config.minPercentChange;
+    return { baseline, percentChange, zScore, flagged };
+}
+
+/**
+ * Detect regressions in a single daily time series
+ *
+ * Each day is compared against the median of the preceding `windowSize`
+ * benchmarked days. Consecutive flagged days are reported as one regression
+ * whose onset day carries the suspect commit range.
+ *
+ * @param {string[]} dates - Sorted dates (YYYY-MM-DD)
+ * @param {number[]} values - Daily values; non-positive values mean "not measured"
+ * @param {string[][]} dateCommits - Commit hashes benchmarked on each date, in run order
+ * @param {Object} config - Detection settings (see REGRESSION_CONFIG)
+ * @returns {Object[]} - Regressions: { date, dates, value, baseline, percentChange, zScore, commitRange }
+ */
+function detectSeriesRegressions(dates, values, dateCommits, config = REGRESSION_CONFIG) {
+    const regressions = [];
+    const history = [];  // Indices of measured days seen so far
+    let current = null;  // Regression currently being extended
+
+    values.forEach((value, idx) => {
+        if (!(value > 0)) return;
+
+        const window = history.slice(-config.windowSize).map(i => values[i]);
+        history.push(idx);
+
+        if (window.length < config.minBaselinePoints) return;
+
+        const { baseline, percentChange, zScore, flagged } = compareWithBaseline(value, window, config);
+
+        if (!flagged) {
+            current = null;
+            return;
+        }
+
+        if (current) {
+            current.dates.push(dates[idx]);
+            return;
+        }
+
+        // Suspect range: last commit of the previous benchmarked day up to this day's last commit
+        const previousIdx = history[history.length - 2];
+        const previousCommits = dateCommits[previousIdx] || [];
+        const commits = dateCommits[idx] || [];
+
+        current = {
+            date: dates[idx],
+            dates: [dates[idx]],
+            value,
+            baseline,
+            percentChange,
+            zScore,
+            commitRange: {
+                from: previousCommits.length > 0 ? previousCommits[previousCommits.length - 1] : null,
+                to: commits.length > 0 ? commits[commits.length - 1] : null
+            }
+        };
+        regressions.push(current);
+    });
+
+    return regressions;
+}
+
+/**
+ * Format a suspect commit range for display
+ * @param {{from: string|null, to: string|null}} commitRange - Commit range
+ * @returns {SafeHTML} - HTML snippet
+ */
+function formatCommitRange(commitRange) {
+    const short = hash => hash ? html`<code>${hash.substring(0, 7)}</code>` : '?';
+    if (!commitRange.from && !commitRange.to) return html`—`;
+    if (commitRange.from === commitRange.to) return html`${short(commitRange.to)}`;
+    return html`${short(commitRange.from)}..${short(commitRange.to)}`;
+}
+
+/**
+ * Render the "Detected regressions" summary table
+ * @param {string} containerId - ID of the summary container
+ * @param {Object[]} regressions - Regressions with benchmark, region and hardware (machine label) attached
+ */
+function renderRegressionSummary(containerId, regressions) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (regressions.length === 0) {
+        container.innerHTML = '<p class="regression-none">No performance regressions detected.</p>';
+        return;
+    }
+
+    // Most recent regressions first
+    const sorted = [...regressions].sort((a, b) => b.date.localeCompare(a.date) || b.percentChange - a.percentChange);
+
+    let markup = '<h3>Detected regressions</h3>';
+    markup += '<div class="regression-table-container"><table class="regression-table">';
+    markup += '<thead><tr><th>Benchmark</th><th>Machine</th><th>Region</th><th>Date</th><th>Change</th><th>Baseline → Time</th><th>Suspect commits</th></tr></thead>';
+    markup += '<tbody>';
+
+    for (const r of sorted) {
+        const daysNote = r.dates.length > 1 && html` <span class="regression-days">(${r.dates.length} days)</span>`;
+        markup += '<tr>';
+        markup += html`<td>${getBenchmarkDisplayName(r.benchmark)}</td>`;
+        markup += html`<td>${r.hardware || '—'}</td>`;
+        markup += html`<td>${r.region}</td>`;
+        markup += html`<td>${r.date}${daysNote}</td>`;
+        markup += html`<td class="regression-change">+${r.percentChange.toFixed(1)}%</td>`;
+        markup += html`<td>${r.baseline.toFixed(2)}s → ${r.value.toFixed(2)}s</td>`;
+        markup += html`<td>${formatCommitRange(r.commitRange)}</td>`;
+        markup += '</tr>';
+    }
+
+    markup += '</tbody></table></div>';
+    container.innerHTML = markup;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REGRESSION_CONFIG,
+        median,
+        robustSpread,
+        compareWithBaseline,
+        detectSeriesRegressions
+    };
+}
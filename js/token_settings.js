@@ -0,0 +1,228 @@
+/**
+ * GitHub Token Settings
+ *
+ * A dialog for pasting a personal access token instead of editing token.js.
+ * A new token is checked against the API first (login, scopes and rate
+ * limit are shown) and then saved for this tab only (sessionStorage) or on
+ * this device (localStorage); "Forget token" removes it again. Without a
+ * token the dashboard runs anonymously with GitHub's 60 requests per hour,
+ * and live PR loads skip the reviews and merge state to make them last.
+ * A token in token.js, when that file exists, still overrides the saved one.
+ * Storage and request headers live in github_api.js.
+ */
+
+// Where the active token comes from, as shown in the status line and dialog
+const GITHUB_TOKEN_SOURCES = {
+    'token.js': 'from token.js',
+    session: 'saved for this tab',
+    local: 'saved on this device'
+};
+
+// Result of the last validation: { token, login, scopes, limit, remaining, reset } or { token, error }
+let githubTokenCheck = null;
+
+/**
+ * Check a token against the API without using it for the dashboard yet
+ * @param {string} token - Personal access token
+ * @returns {Promise<Object>} - { login, scopes, limit, remaining, reset }; scopes is null for fine-grained tokens
+ */
+async function validateGitHubToken(token) {
+    const response = await fetch(`${GITHUB_API_CONFIG.baseUrl}/user`, {
+        cache: 'no-store',
+        headers: {
+            'Accept': 'application/vnd.github.v3+json',
+            'Authorization': `token ${token}`
+        }
+    });
+    if (response.status === 401) {
+        throw new Error('GitHub rejected the token (bad credentials or expired)');
+    }
+    if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const user = await response.json();
+    const scopes = response.headers.get('X-OAuth-Scopes');
+    return {
+        login: user.login,
+        scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        limit: parseInt(response.headers.get('X-RateLimit-Limit'), 10),
+        remaining: parseInt(response.headers.get('X-RateLimit-Remaining'), 10),
+        reset: parseInt(response.headers.get('X-RateLimit-Reset'), 10) * 1000
+    };
+}
+
+/**
+ * Show which token is in use, with a button opening the dialog
+ * @param {string} statusId - ID of the status element
+ */
+function renderGitHubTokenStatus(statusId = 'github-token-status') {
+    const status = document.getElementById(statusId);
+    if (!status) return;
+
+    const { token, source } = getGitHubToken();
+    const login = githubTokenCheck && githubTokenCheck.token === token && githubTokenCheck.login;
+    const text = source
+        ? `GitHub token ${GITHUB_TOKEN_SOURCES[source]}${login ? ` (${login})` : ''}`
+        : `Anonymous GitHub access (60 requests per hour, ${PR_REST_REQUESTS_PER_PR.anonymous} per PR)`;
+    status.innerHTML = html`
+        <span>${text}</span>
+        <button type="button" class="export-button token-settings-open">${source ? 'Token settings' : 'Add token'}</button>
+    `;
+    status.querySelector('.token-settings-open').addEventListener('click', openTokenSettings);
+}
+
+/**
+ * Label/value pairs describing the last validation
+ * @returns {Array<[string, string]>}
+ */
+function getTokenCheckFields(check) {
+    const resetTime = new Date(check.reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return [
+        ['Login', check.login],
+        ['Scopes', check.scopes === null
+            ? 'Not reported (fine-grained token)'
+            : check.scopes.join(', ') || 'None (public data only)'],
+        ['Rate limit', `${check.remaining} of ${check.limit} requests left, resets at ${resetTime}`]
+    ];
+}
+
+/**
+ * Outcome of the last validation
+ * @returns {SafeHTML|string}
+ */
+function renderTokenCheckResult() {
+    if (githubTokenCheck && githubTokenCheck.error) {
+        return html`<p class="token-settings-error">${githubTokenCheck.error}</p>`;
+    } else if (githubTokenCheck) {
+        return html`<dl class="check-details-fields token-settings-fields">${getTokenCheckFields(githubTokenCheck).map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}</dl>`;
+    }
+    return '';
+}
+
+/**
+ * Redraw only the validation outcome, keeping what was typed into the form
+ * @param {HTMLElement} dialog - Dialog element
+ */
+function updateTokenCheckResult(dialog) {
+    const result = dialog.querySelector('.token-settings-result');
+    if (result) result.innerHTML = html`${renderTokenCheckResult()}`;
+}
+
+/**
+ * Fill the dialog for the current token
+ * @param {HTMLElement} dialog - Dialog element
+ */
+function renderTokenSettings(dialog) {
+    const { source } = getGitHubToken();
+    const current = source
+        ? `The dashboard uses a token ${GITHUB_TOKEN_SOURCES[source]}.`
+        : `No token set: PRs are loaded anonymously, limited to 60 requests per hour. `
+            + `Each PR takes ${PR_REST_REQUESTS_PER_PR.anonymous} requests (checks and statuses); `
+            + `reviews and merge state are only loaded with a token, which costs ${PR_REST_REQUESTS_PER_PR.token} per PR.`;
+
+    dialog.innerHTML = html`
+        <div class="check-details-header">
+            <h3>GitHub token</h3>
+            <button type="button" class="check-details-close" aria-label="Close">&times;</button>
+        </div>
+        <p class="token-settings-current">${current}</p>
+        ${source === 'token.js' && html`<p class="token-settings-note">A token in token.js overrides the one saved here. Empty <code>GITHUB_TOKEN</code> in token.js to use this dialog.</p>`}
+        <form class="token-settings-form">
+            <label>Personal access token
+                <input type="password" class="token-settings-input" autocomplete="off" spellcheck="false" placeholder="ghp_..." required>
+            </label>
+            <label class="token-settings-remember">
+                <input type="checkbox"${rawHTML(source === 'local' ? ' checked' : '')}> Remember on this device (otherwise until this tab is closed)
+            </label>
+            <div class="token-settings-actions">
+                <button type="submit" class="export-button">Validate and save</button>
+                <button type="button" class="export-button token-settings-forget"${rawHTML(hasSavedGitHubToken() ? '' : ' disabled')}>Forget token</button>
+            </div>
+        </form>
+        <div class="token-settings-result">${renderTokenCheckResult()}</div>
+    `;
+
+    dialog.querySelector('.check-details-close').addEventListener('click', closeTokenSettings);
+    dialog.querySelector('.token-settings-form').addEventListener('submit', async event => {
+        event.preventDefault();
+        const token = dialog.querySelector('.token-settings-input').value.trim();
+        const remember = dialog.querySelector('.token-settings-remember input').checked;
+        await applyGitHubToken(dialog, token, remember);
+    });
+    dialog.querySelector('.token-settings-forget').addEventListener('click', () => {
+        forgetGitHubToken();
+        githubTokenCheck = null;
+        console.log('GitHub token forgotten');
+        onGitHubTokenChange(dialog);
+    });
+}
+
+/**
+ * Validate a token and save it when GitHub accepts it
+ */
+async function applyGitHubToken(dialog, token, remember) {
+    if (!token) return;
+    try {
+        const check = await validateGitHubToken(token);
+        saveGitHubToken(token, remember);
+        githubTokenCheck = { token, ...check };
+        console.log(`GitHub token saved for ${check.login}`);
+        onGitHubTokenChange(dialog);
+    } catch (error) {
+        // The previously active token (or anonymous access) stays in use
+        console.warn('GitHub token not saved:', error);
+        githubTokenCheck = { token, error: error.message };
+        updateTokenCheckResult(dialog);
+    }
+}
+
+/**
+ * Redraw the settings and reload the PRs with the new credentials
+ */
+function onGitHubTokenChange(dialog) {
+    renderTokenSettings(dialog);
+    renderGitHubTokenStatus();
+    const rateLimit = document.getElementById('github-rate-limit');
+    if (rateLimit) rateLimit.textContent = '';
+    fetchFailingPRs();
+}
+
+/**
+ * Open the dialog and check the active token
+ */
+async function openTokenSettings() {
+    const dialog = document.getElementById('token-settings');
+    if (!dialog) return;
+
+    renderTokenSettings(dialog);
+    dialog.hidden = false;
+    dialog.querySelector('.token-settings-input').focus();
+
+    // Show login, scopes and quota of the active token unless it was just checked
+    const { token } = getGitHubToken();
+    if (token && (!githubTokenCheck || githubTokenCheck.token !== token)) {
+        try {
+            githubTokenCheck = { token, ...await validateGitHubToken(token) };
+        } catch (error) {
+            githubTokenCheck = { token, error: `Active token: ${error.message}` };
+        }
+        // The user may have started typing a new token meanwhile
+        if (!dialog.hidden) updateTokenCheckResult(dialog);
+        renderGitHubTokenStatus();
+    }
+}
+
+/**
+ * Close the dialog
+ */
+function closeTokenSettings() {
+    const dialog = document.getElementById('token-settings');
+    if (dialog) dialog.hidden = true;
+}
+
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeTokenSettings();
+});
+
+document.addEventListener('DOMContentLoaded', () => renderGitHubTokenStatus());
@@ -0,0 +1,73 @@
+/**
+ * Shareable Dashboard State in the URL Hash
+ *
+ * Views (benchmark plots, PR matrix, ...) keep their state in the hash as
+ * plain key/value pairs, e.g.
+ *   #mode=lines&range=2025-01-01,2025-02-01&hide=io,mpi_comm&bench=GPU_elastic_2d
+ * so a copied link reopens exactly the same view. Views read their keys on
+ * load and register a callback for links pasted into an already open tab.
+ */
+
+// Separator of list values (region names and benchmark names never contain it)
+const URL_STATE_LIST_SEPARATOR = ',';
+
+// Registered views: name -> restore callback
+const urlStateSections = {};
+
+// Hash last written by setUrlState, so our own updates are not restored again
+let lastWrittenHash = null;
+
+/**
+ * Read the current hash as a key -> string object
+ */
+function getUrlState() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const state = {};
+    for (const [key, value] of params) {
+        state[key] = value;
+    }
+    return state;
+}
+
+/**
+ * Merge values into the hash without adding a history entry
+ * @param {Object} updates - Key -> string, array (joined) or null/undefined (removed)
+ */
+function setUrlState(updates) {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === null || value === undefined) {
+            params.delete(key);
+        } else {
+            params.set(key, Array.isArray(value) ? value.join(URL_STATE_LIST_SEPARATOR) : String(value));
+        }
+    }
+
+    // Commas are valid in a fragment; leaving them unescaped keeps links readable
+    const hash = params.toString().replace(/%2C/gi, URL_STATE_LIST_SEPARATOR);
+    lastWrittenHash = hash;
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    history.replaceState(null, '', url);
+}
+
+/**
+ * Register a view whose state lives in the hash
+ * @param {string} name - View name
+ * @param {Function} restore - Called with the current state when a different link is opened
+ */
+function registerUrlStateSection(name, restore) {
+    urlStateSections[name] = restore;
+}
+
+// A pasted link only changes the hash, so re-apply it to every view (missing keys mean defaults)
+window.addEventListener('hashchange', () => {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (hash === lastWrittenHash) return;
+    lastWrittenHash = hash;
+
+    const state = getUrlState();
+    for (const [name, restore] of Object.entries(urlStateSections)) {
+        console.log(`Restoring ${name} view from URL`);
+        restore(state);
+    }
+});
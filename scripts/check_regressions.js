@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * Check the latest nightly benchmark runs for performance regressions
+ *
+ * Reads the synced profiles (through the configured manifests, or by walking
+ * benchmarks/ when there are none), aggregates them per machine and day as
+ * the dashboard plots do, and compares the latest day of every benchmark
+ * against the median of the preceding `REGRESSION_CONFIG.windowSize`
+ * benchmarked days, the same baseline the plots mark regressions with. Writes
+ *   <web root>/regressions.json       - every checked benchmark, total and per region
+ *   <web root>/regressions.md         - markdown digest of the same
+ *   <web root>/badges/nightly_perf.svg - "perf: +4.2% (10d)" status badge, with the
+ *                                        number of baseline days
+ *
+ * Usage: node scripts/check_regressions.js [web root] [--fail-on-regression]
+ *        (default: .; with --fail-on-regression the exit code is 2 when
+ *        anything was flagged; it is 1, with nothing written, when a
+ *        manifest cannot be read)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    parseTimestamp,
+    validateProfile,
+    getHardwareFingerprint,
+    getHardwareLabel,
+    splitFilesByHardware,
+    aggregateBenchmarkSeries,
+    collectRegions
+} = require('../js/benchmark_data.js');
+const { REGRESSION_CONFIG, compareWithBaseline } = require('../js/regression_detection.js');
+const { findProfiles } = require('./index_benchmarks.js');
+const { loadConfigFile } = require('./read_config.js');
+const { writeFileAtomic, writeJSON } = require('./write_atomic.js');
+
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const FAIL_ON_REGRESSION = process.argv.includes('--fail-on-regression');
+const WEB_ROOT = path.resolve(args[0] || '.');
+const REPORT_FILE = path.join(WEB_ROOT, 'regressions.json');
+const DIGEST_FILE = path.join(WEB_ROOT, 'regressions.md');
+const BADGE_FILE = path.join(WEB_ROOT, 'badges', 'nightly_perf.svg');
+
+// Badge colors, as used by the Jenkins badges
+const BADGE_COLORS = {
+    ok: '#4c1',
+    regression: '#e05d44',
+    unknown: '#9f9f9f'
+};
+
+/**
+ * Profile paths per device class, from the configured manifests or else the benchmarks/ tree
+ * (exits when a manifest exists but cannot be parsed)
+ * @param {Object} config - Dashboard configuration
+ * @returns {Object} - Device class -> absolute profile paths
+ */
+function listProfiles(config) {
+    const profiles = {};
+    for (const [deviceClass, classConfig] of Object.entries(config.benchmarks.deviceClasses)) {
+        const file = classConfig.manifest && path.join(WEB_ROOT, classConfig.manifest);
+        if (!file || !fs.existsSync(file)) continue;
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            // Checking without a class would report fewer regressions, so nothing is written
+            console.error(`Could not read the ${deviceClass} manifest ${path.relative(WEB_ROOT, file)}: ${error.message}`);
+            process.exit(1);
+        }
+        profiles[deviceClass] = (manifest.files || [])
+            .map(entry => typeof entry === 'string' ? entry : entry.path)
+            .map(webPath => path.join(WEB_ROOT, webPath));
+    }
+    if (Object.keys(profiles).length > 0) return profiles;
+
+    const benchmarksDir = path.join(WEB_ROOT, 'benchmarks');
+    if (!fs.existsSync(benchmarksDir)) return profiles;
+    fs.readdirSync(benchmarksDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+            profiles[entry.name] = findProfiles(path.join(benchmarksDir, entry.name));
+        });
+    return profiles;
+}
+
+/**
+ * Read and validate profiles, skipping (and reporting) broken files
+ */
+function readProfiles(files) {
+    const valid = [];
+    for (const file of files) {
+        const relPath = path.relative(WEB_ROOT, file);
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const errors = validateProfile(data);
+            if (errors.length > 0) throw new Error(errors.join('; '));
+            valid.push(data);
+        } catch (error) {
+            console.warn(`  ✗ Skipping ${relPath}: ${error.message}`);
+        }
+    }
+    return valid;
+}
+
+/**
+ * Compare the latest day of a series against the preceding measured days, as detectSeriesRegressions does
+ * @param {string[]} dates - Sorted dates (YYYY-MM-DD)
+ * @param {number[]} values - Daily values; non-positive values mean "not measured"
+ * @returns {Object|null} - { value, baseline, baseline_points, percent_change, z_score, flagged },
+ *                          null when the latest day was not measured
+ */
+function checkLatest(dates, values) {
+    const latestIdx = dates.length - 1;
+    const value = values[latestIdx];
+    if (!(value > 0)) return null;
+
+    const window = values.slice(0, latestIdx).filter(v => v > 0).slice(-REGRESSION_CONFIG.windowSize);
+    if (window.length === 0) {
+        return { value, baseline: null, baseline_points: 0, percent_change: null, z_score: null, flagged: false };
+    }
+
+    const { baseline, percentChange, zScore, flagged } = compareWithBaseline(value, window);
+    return {
+        value,
+        baseline,
+        baseline_points: window.length,
+        percent_change: percentChange,
+        z_score: zScore,
+        flagged
+    };
+}
+
+/**
+ * Check the latest run of one benchmark on the machine it ran on
+ */
+function checkBenchmark(deviceClass, name, files) {
+    const latest = files.reduce((a, b) => parseTimestamp(b.metadata.timestamp) > parseTimestamp(a.metadata.timestamp) ? b : a);
+    const hardwareKey = getHardwareFingerprint(latest.metadata.hardware);
+    const { files: machineFiles } = splitFilesByHardware(files).find(({ key }) => key === hardwareKey);
+
+    const regionList = collectRegions(machineFiles);
+    const series = aggregateBenchmarkSeries(machineFiles, regionList);
+    const latestIdx = series.dates.length - 1;
+
+    // Suspect range: last commit of the previous benchmarked day up to the latest commit
+    const previousCommits = series.dateCommits[latestIdx - 1] || [];
+    const commits = series.dateCommits[latestIdx];
+
+    return {
+        benchmark: name,
+        device_class: deviceClass,
+        hardware: getHardwareLabel(latest.metadata.hardware),
+        latest_date: series.dates[latestIdx],
+        runs: series.runCounts[latestIdx],
+        commit_range: {
+            from: previousCommits.length > 0 ? previousCommits[previousCommits.length - 1] : null,
+            to: commits.length > 0 ? commits[commits.length - 1] : null
+        },
+        total: checkLatest(series.dates, series.totals),
+        regions: regionList
+            .map(region => ({ region, ...checkLatest(series.dates, series.regionData[region]) }))
+            .filter(result => result.value !== undefined)
+    };
+}
+
+/**
+ * Whether a checked benchmark has a flagged total or region
+ */
+function isRegressed(result) {
+    return Boolean(result.total?.flagged) || result.regions.some(region => region.flagged);
+}
+
+/**
+ * Format a percent change with its sign
+ */
+function formatChange(percentChange) {
+    if (percentChange === null || percentChange === undefined) return 'n/a';
+    return `${percentChange >= 0 ? '+' : ''}${percentChange.toFixed(1)}%`;
+}
+
+/**
+ * Build the markdown digest
+ */
+function buildDigest(report, config) {
+    const repo = config.benchmarks.sourceRepo;
+    const deviceLabel = deviceClass => config.benchmarks.deviceClasses[deviceClass]?.label || deviceClass.toUpperCase();
+    const commitLink = hash => hash ? `[\`${hash.substring(0, 7)}\`](https://github.com/${repo}/commit/${hash})` : '?';
+    const commitRange = range => {
+        if (!range.from && !range.to) return '—';
+        if (range.from === range.to) return commitLink(range.to);
+        const compare = range.from && range.to ? ` ([diff](https://github.com/${repo}/compare/${range.from}...${range.to}))` : '';
+        return `${commitLink(range.from)}..${commitLink(range.to)}${compare}`;
+    };
+    const seconds = value => value === null ? 'n/a' : `${value.toFixed(2)}s`;
+
+    const lines = [
+        '# Nightly benchmark regression check',
+        '',
+        `Generated ${report.generated}. The latest day of each benchmark is compared against the median of ` +
+        `the preceding ${report.baseline_window} benchmarked days on the same machine (as in the dashboard plots); a change is flagged when it is at least ` +
+        `+${report.thresholds.minPercentChange}% and its robust z-score exceeds ${report.thresholds.zThreshold} ` +
+        `(with at least ${report.thresholds.minBaselinePoints} baseline days).`,
+        '',
+        `**${report.summary.regressed} of ${report.summary.benchmarks} benchmarks regressed** · ` +
+        `largest total change ${formatChange(report.summary.worst_change)}`,
+        ''
+    ];
+
+    const flagged = [];
+    report.results.forEach(result => {
+        const name = `${deviceLabel(result.device_class)} ${result.benchmark}`;
+        if (result.total?.flagged) flagged.push({ name, region: 'Total', check: result.total, result });
+        result.regions.filter(region => region.flagged).forEach(region => {
+            flagged.push({ name, region: region.region, check: region, result });
+        });
+    });
+
+    if (flagged.length > 0) {
+        lines.push('## Regressions', '');
+        lines.push('| Benchmark | Region | Date | Change | Baseline → Time | Suspect commits |');
+        lines.push('|---|---|---|---|---|---|');
+        flagged.forEach(({ name, region, check, result }) => {
+            lines.push(`| ${name} | ${region} | ${result.latest_date} | ${formatChange(check.percent_change)} | ` +
+                `${seconds(check.baseline)} → ${seconds(check.value)} | ${commitRange(result.commit_range)} |`);
+        });
+        lines.push('');
+    }
+
+    lines.push('## All benchmarks', '');
+    lines.push('| Benchmark | Hardware | Latest | Total | Baseline | Change | Status |');
+    lines.push('|---|---|---|---|---|---|---|');
+    report.results.forEach(result => {
+        const total = result.total || { value: null, baseline: null, percent_change: null, baseline_points: 0 };
+        const status = isRegressed(result)
+            ? '🔴 regression'
+            : (total.baseline_points < report.thresholds.minBaselinePoints ? '⚪ short baseline' : '🟢 ok');
+        lines.push(`| ${deviceLabel(result.device_class)} ${result.benchmark} | ${result.hardware} | ${result.latest_date} | ` +
+            `${seconds(total.value)} | ${seconds(total.baseline)} | ${formatChange(total.percent_change)} | ${status} |`);
+    });
+    lines.push('');
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the status badge in the style of the Jenkins badges
+ */
+function buildBadge(label, message, color) {
+    const labelWidth = Math.max(30, label.length * 7 + 10);
+    const statusWidth = Math.max(40, message.length * 7 + 10);
+    const totalWidth = labelWidth + statusWidth;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20">
+    <linearGradient id="b" x2="0" y2="100%">
+        <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+        <stop offset="1" stop-opacity=".1"/>
+    </linearGradient>
+    <clipPath id="a">
+        <rect width="${totalWidth}" height="20" rx="3" fill="#fff"/>
+    </clipPath>
+    <g clip-path="url(#a)">
+        <path fill="#555" d="M0 0h${labelWidth}v20H0z"/>
+        <path fill="${color}" d="M${labelWidth} 0h${statusWidth}v20H${labelWidth}z"/>
+        <path fill="url(#b)" d="M0 0h${totalWidth}v20H0z"/>
+    </g>
+    <g fill="#fff" text-anchor="middle" font-family="DejaVu Sans,Verdana,Geneva,sans-serif" font-size="11">
+        <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${label}</text>
+        <text x="${labelWidth / 2}" y="14">${label}</text>
+        <text x="${labelWidth + statusWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${message}</text>
+        <text x="${labelWidth + statusWidth / 2}" y="14">${message}</text>
+    </g>
+</svg>
+`;
+}
+
+function main() {
+    const config = loadConfigFile(WEB_ROOT);
+
+    const results = [];
+    for (const [deviceClass, files] of Object.entries(listProfiles(config))) {
+        const byBenchmark = {};
+        readProfiles(files).forEach(data => {
+            const name = data.metadata.benchmark_name;
+            if (!byBenchmark[name]) byBenchmark[name] = [];
+            byBenchmark[name].push(data);
+        });
+        Object.keys(byBenchmark).sort().forEach(name => {
+            results.push(checkBenchmark(deviceClass, name, byBenchmark[name]));
+        });
+    }
+
+    const changes = results
+        .map(result => result.total?.percent_change)
+        .filter(change => change !== null && change !== undefined);
+    const regressed = results.filter(isRegressed);
+    const worstChange = changes.length > 0 ? Math.max(...changes) : null;
+
+    const report = {
+        generated: new Date().toISOString().split('.')[0] + 'Z',
+        baseline_window: REGRESSION_CONFIG.windowSize,
+        thresholds: {
+            zThreshold: REGRESSION_CONFIG.zThreshold,
+            minPercentChange: REGRESSION_CONFIG.minPercentChange,
+            minBaselinePoints: REGRESSION_CONFIG.minBaselinePoints
+        },
+        summary: {
+            benchmarks: results.length,
+            regressed: regressed.length,
+            worst_change: worstChange
+        },
+        results
+    };
+
+    writeJSON(REPORT_FILE, report, 2);
+    writeFileAtomic(DIGEST_FILE, buildDigest(report, config));
+
+    let color = BADGE_COLORS.ok;
+    let message = `${formatChange(worstChange)} (${REGRESSION_CONFIG.windowSize}d)`;
+    if (worstChange === null) {
+        color = BADGE_COLORS.unknown;
+        message = 'no data';
+    } else if (regressed.length > 0) {
+        color = BADGE_COLORS.regression;
+    }
+    fs.mkdirSync(path.dirname(BADGE_FILE), { recursive: true });
+    writeFileAtomic(BADGE_FILE, buildBadge('perf', message, color));
+
+    regressed.forEach(result => {
+        console.log(`  ✗ ${result.device_class}/${result.benchmark}: total ${formatChange(result.total?.percent_change)} on ${result.latest_date}`);
+    });
+    console.log(`Regression check: ${regressed.length} of ${results.length} benchmarks regressed, badge "perf: ${message}"`);
+
+    if (FAIL_ON_REGRESSION && regressed.length > 0) {
+        process.exit(2);
+    }
+}
+
+main();
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Save the recent build history of the Jenkins jobs behind the CI badges
+ *
+ * For every badge of dashboard.config.json with a Jenkins `job`, reads the
+ * last `jenkins.historyBuilds` builds from the Jenkins JSON API (result,
+ * start time, duration and JUnit test counts) and writes
+ *   <web root>/badges/jenkins_history.json - { generated, jobs: { <badge id>: { job, url, builds } } }
+ * which badge_loader.js draws as a history strip under each badge. A job that
+ * cannot be read keeps its builds from the previous file.
+ *
+ * Usage: node scripts/fetch_jenkins_history.js [web root]
+ *        (default: .; JENKINS_USER and JENKINS_TOKEN are sent as basic auth
+ *        when set. With JENKINS_FIXTURE_DIR, <dir>/<badge id>.json is read
+ *        instead of the API, e.g. saved with
+ *        curl '<job url>api/json?tree=builds[...]' > <dir>/<badge id>.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfigFile } = require('./read_config.js');
+const { writeJSON } = require('./write_atomic.js');
+const { getJenkinsJobUrl, getJenkinsApiUrl } = require('../js/dashboard_layout.js');
+
+const WEB_ROOT = path.resolve(process.argv[2] || '.');
+const HISTORY_FILE = path.join(WEB_ROOT, 'badges', 'jenkins_history.json');
+const FIXTURE_DIR = process.env.JENKINS_FIXTURE_DIR ? path.resolve(process.env.JENKINS_FIXTURE_DIR) : null;
+
+// Give up on a Jenkins request after this long
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Load the API response of one job, from Jenkins or from the fixture directory
+ * @param {Object} badge - Badge config ({ id, job })
+ * @param {string} apiUrl - JSON API URL of the job
+ * @returns {Promise<Object>} - { builds: [...] }
+ */
+async function loadJobData(badge, apiUrl) {
+    if (FIXTURE_DIR) {
+        const file = path.join(FIXTURE_DIR, `${badge.id}.json`);
+        if (!fs.existsSync(file)) throw new Error(`no fixture ${file}`);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    const headers = { 'Accept': 'application/json' };
+    if (process.env.JENKINS_USER && process.env.JENKINS_TOKEN) {
+        const credentials = Buffer.from(`${process.env.JENKINS_USER}:${process.env.JENKINS_TOKEN}`).toString('base64');
+        headers['Authorization'] = `Basic ${credentials}`;
+    }
+    const response = await fetch(apiUrl, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Keep the fields the dashboard shows of one build
+ * @param {Object} build - Build of the Jenkins JSON API
+ * @returns {Object} - { number, result, timestamp, duration, url, tests: { total, failed, skipped } | null },
+ *                     timestamp being null when Jenkins reported no valid start time
+ */
+function compactBuild(build) {
+    // The JUnit plugin adds an action with the test counts
+    const testAction = (build.actions || []).find(action => action && typeof action.totalCount === 'number');
+    const started = typeof build.timestamp === 'number' ? new Date(build.timestamp) : null;
+    return {
+        number: build.number,
+        result: build.building ? 'BUILDING' : (build.result || 'UNKNOWN'),
+        timestamp: started && !isNaN(started) ? started.toISOString() : null,
+        duration: build.duration || 0,
+        url: build.url || null,
+        tests: testAction
+            ? { total: testAction.totalCount, failed: testAction.failCount || 0, skipped: testAction.skipCount || 0 }
+            : null
+    };
+}
+
+/**
+ * Read the previous history file, if any
+ */
+function loadPreviousHistory() {
+    try {
+        return JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8')).jobs || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+async function main() {
+    const config = loadConfigFile(WEB_ROOT);
+    const badges = config.badgeGroups.flatMap(group => group.badges).filter(badge => badge.job);
+    const count = config.jenkins.historyBuilds;
+    const previous = loadPreviousHistory();
+    if (FIXTURE_DIR) {
+        console.log(`Reading Jenkins jobs from fixtures in ${FIXTURE_DIR}`);
+    }
+
+    const jobs = {};
+    let failed = 0;
+    for (const badge of badges) {
+        const apiUrl = getJenkinsApiUrl(config.jenkins.url, badge.job, count);
+        try {
+            const data = await loadJobData(badge, apiUrl);
+            const builds = (data.builds || []).slice(0, count).map(compactBuild);
+            jobs[badge.id] = { job: badge.job, url: getJenkinsJobUrl(config.jenkins.url, badge.job), builds };
+            console.log(`  ✓ ${badge.id}: ${builds.length} builds`);
+        } catch (error) {
+            failed++;
+            console.warn(`  ✗ ${badge.id}: ${error.message}${previous[badge.id] ? ', keeping the previous history' : ''}`);
+            if (previous[badge.id]) jobs[badge.id] = previous[badge.id];
+        }
+    }
+
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    writeJSON(HISTORY_FILE, {
+        generated: new Date().toISOString().split('.')[0] + 'Z',
+        jobs
+    });
+    console.log(`Jenkins history of ${badges.length - failed} of ${badges.length} jobs written to ${HISTORY_FILE}`);
+    if (badges.length > 0 && failed === badges.length) process.exit(1);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Could not write the Jenkins history:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Write a snapshot of the open pull requests and their CI checks
+ *
+ * Loads the PRs of `prMatrix.repo` the way the dashboard does
+ * (js/pr_status_loader.js), but with a token held on the server, so visitors
+ * read the snapshot instead of spending their own, often anonymous, API
+ * quota. Writes
+ *   <web root>/pr_status.json - { generated, repo, prs: [{ pr, checks, review }] }
+ * (the file is `prMatrix.snapshot.file` of dashboard.config.json).
+ *
+ * Usage: GITHUB_TOKEN=<token> node scripts/fetch_pr_status.js [web root]
+ *        (default: .; without GITHUB_TOKEN the REST API is used anonymously,
+ *        which covers only a dozen PRs before the hourly limit is reached)
+ */
+
+const path = require('path');
+const { loadConfigFile } = require('./read_config.js');
+const { writeJSON } = require('./write_atomic.js');
+// The API client reads the token from GITHUB_TOKEN
+const githubApi = require('../js/github_api.js');
+const { loadPRChecks } = require('../js/pr_status_loader.js');
+
+const WEB_ROOT = path.resolve(process.argv[2] || '.');
+
+/**
+ * Keep the PR fields the matrix uses; REST pull request objects are several KB each
+ */
+function compactPR(pr) {
+    return {
+        number: pr.number,
+        title: pr.title,
+        html_url: pr.html_url,
+        draft: Boolean(pr.draft),
+        created_at: pr.created_at,
+        updated_at: pr.updated_at,
+        user: { login: pr.user ? pr.user.login : 'ghost' },
+        head: { sha: pr.head ? pr.head.sha : null },
+        base: { ref: pr.base ? pr.base.ref : null, sha: pr.base ? pr.base.sha || null : null },
+        labels: (pr.labels || []).map(label => ({ name: label.name, color: label.color })),
+        mergeable_state: pr.mergeable_state || 'unknown',
+        requested_reviewers: (pr.requested_reviewers || []).map(reviewer => ({ login: reviewer.login })),
+        requested_teams: (pr.requested_teams || []).map(team => ({ name: team.name }))
+    };
+}
+
+async function main() {
+    const { prMatrix } = loadConfigFile(WEB_ROOT);
+    if (!prMatrix.snapshot.file) {
+        console.error('prMatrix.snapshot.file is not set in dashboard.config.json');
+        process.exit(1);
+    }
+    if (!process.env.GITHUB_TOKEN) {
+        console.warn('GITHUB_TOKEN is not set, loading PRs anonymously');
+    }
+
+    const rows = await loadPRChecks(prMatrix, githubApi);
+    const snapshot = {
+        generated: new Date().toISOString().split('.')[0] + 'Z',
+        repo: prMatrix.repo,
+        prs: rows.map(row => ({ ...row, pr: compactPR(row.pr) }))
+    };
+
+    const file = path.join(WEB_ROOT, prMatrix.snapshot.file);
+    writeJSON(file, snapshot);
+
+    const { remaining, limit } = githubApi.githubRateLimit;
+    console.log(`PR snapshot: ${rows.length} open PRs of ${prMatrix.repo} written to ${file}` +
+        (remaining !== null ? ` (${remaining} of ${limit} API requests left)` : ''));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Could not write the PR snapshot:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Build the benchmark index and per-benchmark series files
+ *
+ * Runs after sync_benchmarks.sh has copied the profiles.json files. Writes
+ *   <web root>/benchmarks_index.json            - one entry per run (name, timestamp,
+ *                                                  device class, hardware, commit, total)
+ *                                                  and the files that failed to parse or validate
+ *   <web root>/benchmark_series/<class>_<name>.json - per-machine daily region aggregates
+ *                                                  plus compact run records
+ * so the dashboard loads a handful of files instead of every profile.
+ *
+ * Usage: node scripts/index_benchmarks.js [benchmarks dir] [web root]
+ *        (defaults: ./benchmarks and .)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    BENCHMARK_INDEX_VERSION,
+    validateProfile,
+    buildIndexRun,
+    buildBenchmarkSeriesFile,
+    getSeriesFilePath
+} = require('../js/benchmark_data.js');
+const { writeJSON } = require('./write_atomic.js');
+
+const BENCHMARKS_DIR = path.resolve(process.argv[2] || 'benchmarks');
+const WEB_ROOT = path.resolve(process.argv[3] || '.');
+const INDEX_FILE = path.join(WEB_ROOT, 'benchmarks_index.json');
+const SERIES_DIR = path.join(WEB_ROOT, 'benchmark_series');
+
+/**
+ * Recursively find profiles.json files below a directory, sorted
+ */
+function findProfiles(dir) {
+    const found = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            found.push(...findProfiles(fullPath));
+        } else if (entry.name === 'profiles.json') {
+            found.push(fullPath);
+        }
+    }
+    return found.sort();
+}
+
+/**
+ * Path of a profile as the browser fetches it, e.g. "./benchmarks/cpu/.../profiles.json"
+ */
+function toWebPath(file) {
+    return './' + path.relative(WEB_ROOT, file).split(path.sep).join('/');
+}
+
+function main() {
+    if (!fs.existsSync(BENCHMARKS_DIR)) {
+        console.error(`Benchmarks directory not found: ${BENCHMARKS_DIR}`);
+        process.exit(1);
+    }
+    fs.mkdirSync(SERIES_DIR, { recursive: true });
+
+    // Every top-level directory (cpu, gpu, ...) is a device class
+    const deviceClasses = fs.readdirSync(BENCHMARKS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+
+    const runs = [];
+    const series = {};
+    const writtenSeries = new Set();
+    const invalid = []; // Files left out of the index, shown in the dashboard's diagnostics
+
+    for (const deviceClass of deviceClasses) {
+        const byBenchmark = {};
+
+        for (const file of findProfiles(path.join(BENCHMARKS_DIR, deviceClass))) {
+            const webPath = toWebPath(file);
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                console.warn(`  ✗ Skipping ${webPath}: ${error.message}`);
+                invalid.push({ path: webPath, stage: 'parse', reason: error.message });
+                continue;
+            }
+            const errors = validateProfile(data);
+            if (errors.length > 0) {
+                console.warn(`  ✗ Skipping ${webPath}: ${errors.join('; ')}`);
+                invalid.push({ path: webPath, stage: 'validate', reason: errors.join('; ') });
+                continue;
+            }
+
+            const mtime = Math.floor(fs.statSync(file).mtimeMs / 1000);
+            runs.push(buildIndexRun(data, webPath, deviceClass, mtime));
+
+            const name = data.metadata.benchmark_name;
+            if (!byBenchmark[name]) byBenchmark[name] = [];
+            byBenchmark[name].push({ path: webPath, data });
+        }
+
+        series[deviceClass] = {};
+        for (const [name, entries] of Object.entries(byBenchmark)) {
+            const seriesPath = getSeriesFilePath(deviceClass, name);
+            if (writtenSeries.has(path.basename(seriesPath))) {
+                // Two names that only differ in characters replaced in the file name
+                const reason = `series file ${seriesPath} is already used by another benchmark`;
+                console.warn(`  ✗ Skipping benchmark "${name}": ${reason}`);
+                entries.forEach(entry => invalid.push({ path: entry.path, stage: 'validate', reason }));
+                continue;
+            }
+            writeJSON(path.join(WEB_ROOT, seriesPath), buildBenchmarkSeriesFile(name, deviceClass, entries));
+            writtenSeries.add(path.basename(seriesPath));
+            series[deviceClass][name] = seriesPath;
+            console.log(`  ✓ ${seriesPath} (${entries.length} runs)`);
+        }
+    }
+
+    // Drop series of benchmarks that no longer exist
+    for (const file of fs.readdirSync(SERIES_DIR)) {
+        if (file.endsWith('.json') && !writtenSeries.has(file)) {
+            fs.unlinkSync(path.join(SERIES_DIR, file));
+            console.log(`  Removed stale ${file}`);
+        }
+    }
+
+    writeJSON(INDEX_FILE, {
+        version: BENCHMARK_INDEX_VERSION,
+        updated: new Date().toISOString().split('.')[0] + 'Z',
+        device_classes: deviceClasses,
+        series,
+        runs,
+        invalid
+    });
+    console.log(`Index written to ${INDEX_FILE}: ${runs.length} runs, ${writtenSeries.size} series, ${invalid.length} skipped`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { findProfiles };
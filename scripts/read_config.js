@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Print settings of dashboard.config.json for shell scripts
+ *
+ * Loads <web root>/dashboard.config.json over the defaults in
+ * js/dashboard_config.js and prints one tab-separated line per item:
+ *   device-classes  <device class> <manifest file, empty when none is configured>
+ *   jenkins-badges  <badge id> <badge image URL>
+ * sync_benchmarks.sh reads its device classes and badges this way, so forks
+ * only edit the config.
+ *
+ * Usage: node scripts/read_config.js <web root> <device-classes|jenkins-badges>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DASHBOARD_CONFIG, mergeConfig } = require('../js/dashboard_config.js');
+const { getJenkinsBadgeUrl } = require('../js/dashboard_layout.js');
+
+// Command -> rows (arrays of fields) of the config
+const COMMANDS = {
+    'device-classes': config => Object.entries(config.benchmarks.deviceClasses)
+        .map(([deviceClass, classConfig]) => [deviceClass, classConfig.manifest || '']),
+    'jenkins-badges': config => config.badgeGroups
+        .flatMap(group => group.badges)
+        .filter(badge => badge.job)
+        .map(badge => [badge.id, getJenkinsBadgeUrl(config.jenkins.url, badge)])
+};
+
+/**
+ * Load the dashboard configuration of a web root over the defaults
+ */
+function loadConfigFile(webRoot) {
+    const file = path.join(webRoot, 'dashboard.config.json');
+    if (!fs.existsSync(file)) return DEFAULT_DASHBOARD_CONFIG;
+    return mergeConfig(DEFAULT_DASHBOARD_CONFIG, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function main() {
+    const [webRoot, command] = process.argv.slice(2);
+    if (!webRoot || !COMMANDS[command]) {
+        console.error(`Usage: node scripts/read_config.js <web root> <${Object.keys(COMMANDS).join('|')}>`);
+        process.exit(1);
+    }
+    for (const row of COMMANDS[command](loadConfigFile(path.resolve(webRoot)))) {
+        console.log(row.join('\t'));
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadConfigFile };
@@ -5,86 +5,107 @@
 
 # Configuration
 SOURCE_DIR="/home/TROMP/SPECFEMPP-benchmarks/nightly_benchmarks/data/benchmarks"
-DEST_DIR="/projects/TROMP/public_html/specfempp-review-panel/benchmarks"
-MANIFEST_CPU_FILE="/projects/TROMP/public_html/specfempp-review-panel/benchmarks_manifest_cpu.json"
-MANIFEST_GPU_FILE="/projects/TROMP/public_html/specfempp-review-panel/benchmarks_manifest_gpu.json"
-BADGES_DIR="/projects/TROMP/public_html/specfempp-review-panel/badges"
+WEB_ROOT="/projects/TROMP/public_html/specfempp-review-panel"
+DEST_DIR="$WEB_ROOT/benchmarks"
+BADGES_DIR="$WEB_ROOT/badges"
+# Token for the PR snapshot (keep it readable only by the cron user); GITHUB_TOKEN overrides it
+GITHUB_TOKEN_FILE="$HOME/.config/specfempp-dashboard/github_token"
+SCRIPT_DIR="$( cd "$( dirname "${BASH_SOURCE[0]}" )" && pwd )"
+
+# Device classes, manifests and Jenkins badges come from the web root's dashboard.config.json
+read_config() {
+    node "$SCRIPT_DIR/read_config.js" "$WEB_ROOT" "$1"
+}
+
+# Write the manifest of one device class: every profiles.json with its mtime
+write_manifest() {
+    local device_class="$1"
+    local manifest_file="$2"
+
+    echo "Generating ${device_class^^} manifest file at $manifest_file"
+    echo '{' > "$manifest_file"
+    echo '  "files": [' >> "$manifest_file"
+
+    local temp_file
+    temp_file=$(mktemp)
+    find "$DEST_DIR/$device_class" -name "profiles.json" -type f | sort | while IFS= read -r file; do
+        # Convert absolute path to relative path from web root
+        rel_path=$(echo "$file" | sed "s|$DEST_DIR|./benchmarks|")
+        # The mtime lets browsers keep unchanged files in their cache
+        mtime=$(stat -c %Y "$file")
+        echo "    {\"path\": \"$rel_path\", \"mtime\": $mtime}" >> "$temp_file"
+    done
+
+    # Add files to the manifest with proper comma formatting
+    if [ -s "$temp_file" ]; then
+        # Add commas to all lines except the last
+        sed '$ ! s/$/,/' "$temp_file" >> "$manifest_file"
+    fi
+    rm -f "$temp_file"
+
+    echo '  ],' >> "$manifest_file"
+    echo "  \"updated\": \"$(date -u +%Y-%m-%dT%H:%M:%SZ)\"" >> "$manifest_file"
+    echo '}' >> "$manifest_file"
+}
+
+if ! DEVICE_CLASSES=$(read_config device-classes); then
+    echo "  ✗ Could not read $WEB_ROOT/dashboard.config.json"
+    exit 1
+fi
 
 # Create destination directories if they don't exist
 mkdir -p "$DEST_DIR"
 mkdir -p "$BADGES_DIR"
 
-# Sync benchmark data (only profiles.json files) sync gpu and cpu separately
+# Sync benchmark data (only profiles.json files) of each device class separately
 echo "Syncing benchmark data from $SOURCE_DIR to $DEST_DIR"
-rsync -av --include='*/' --include='*/profiles.json' --exclude='*' "$SOURCE_DIR/cpu/" "$DEST_DIR/cpu/"
-rsync -av --include='*/' --include='*/profiles.json' --exclude='*' "$SOURCE_DIR/gpu/" "$DEST_DIR/gpu/"
-
-# Generate CPU manifest file
-echo "Generating CPU manifest file at $MANIFEST_CPU_FILE"
-echo '{' > "$MANIFEST_CPU_FILE"
-echo '  "files": [' >> "$MANIFEST_CPU_FILE"
-
-TEMP_FILE_CPU=$(mktemp)
-find "$DEST_DIR/cpu" -name "profiles.json" -type f | sort | while IFS= read -r file; do
-    # Convert absolute path to relative path from web root
-    rel_path=$(echo "$file" | sed "s|$DEST_DIR|./benchmarks|")
-    echo "    \"$rel_path\"" >> "$TEMP_FILE_CPU"
-done
+total_file_count=0
+count_summary=""
+while IFS=$'\t' read -r device_class manifest; do
+    mkdir -p "$DEST_DIR/$device_class"
+    rsync -av --include='*/' --include='*/profiles.json' --exclude='*' "$SOURCE_DIR/$device_class/" "$DEST_DIR/$device_class/"
+    if [ -n "$manifest" ]; then
+        write_manifest "$device_class" "$WEB_ROOT/$manifest"
+    fi
 
-# Add files to CPU manifest with proper comma formatting
-if [ -s "$TEMP_FILE_CPU" ]; then
-    # Add commas to all lines except the last
-    sed '$ ! s/$/,/' "$TEMP_FILE_CPU" >> "$MANIFEST_CPU_FILE"
-fi
-rm -f "$TEMP_FILE_CPU"
-
-echo '  ],' >> "$MANIFEST_CPU_FILE"
-echo "  \"updated\": \"$(date -u +%Y-%m-%dT%H:%M:%SZ)\"" >> "$MANIFEST_CPU_FILE"
-echo '}' >> "$MANIFEST_CPU_FILE"
-
-# Generate GPU manifest file
-echo "Generating GPU manifest file at $MANIFEST_GPU_FILE"
-echo '{' > "$MANIFEST_GPU_FILE"
-echo '  "files": [' >> "$MANIFEST_GPU_FILE"
-
-TEMP_FILE_GPU=$(mktemp)
-find "$DEST_DIR/gpu" -name "profiles.json" -type f | sort | while IFS= read -r file; do
-    # Convert absolute path to relative path from web root
-    rel_path=$(echo "$file" | sed "s|$DEST_DIR|./benchmarks|")
-    echo "    \"$rel_path\"" >> "$TEMP_FILE_GPU"
-done
+    # Count files synced
+    file_count=$(find "$DEST_DIR/$device_class" -name "profiles.json" -type f | wc -l)
+    count_summary="${count_summary:+$count_summary, }$file_count ${device_class^^} files"
+    total_file_count=$((total_file_count + file_count))
+done <<< "$DEVICE_CLASSES"
+
+echo "Sync complete: $count_summary ($total_file_count total)"
+echo "Manifests updated at $(date)"
 
-# Add files to GPU manifest with proper comma formatting
-if [ -s "$TEMP_FILE_GPU" ]; then
-    # Add commas to all lines except the last
-    sed '$ ! s/$/,/' "$TEMP_FILE_GPU" >> "$MANIFEST_GPU_FILE"
+# Build the benchmark index and per-benchmark series files read by the dashboard
+echo "Indexing benchmarks..."
+if ! node "$SCRIPT_DIR/index_benchmarks.js" "$DEST_DIR" "$WEB_ROOT"; then
+    echo "  ✗ Indexing failed, the dashboard will fall back to the manifests"
 fi
-rm -f "$TEMP_FILE_GPU"
 
-echo '  ],' >> "$MANIFEST_GPU_FILE"
-echo "  \"updated\": \"$(date -u +%Y-%m-%dT%H:%M:%SZ)\"" >> "$MANIFEST_GPU_FILE"
-echo '}' >> "$MANIFEST_GPU_FILE"
+# Compare the latest runs against their baseline and write the report and perf badge
+echo "Checking for performance regressions..."
+if ! node "$SCRIPT_DIR/check_regressions.js" "$WEB_ROOT"; then
+    echo "  ✗ Regression check failed"
+fi
 
-# Count files synced
-cpu_file_count=$(find "$DEST_DIR/cpu" -name "profiles.json" -type f | wc -l)
-gpu_file_count=$(find "$DEST_DIR/gpu" -name "profiles.json" -type f | wc -l)
-total_file_count=$((cpu_file_count + gpu_file_count))
-echo "Sync complete: $cpu_file_count CPU files, $gpu_file_count GPU files ($total_file_count total)"
-echo "Manifests updated at $(date)"
+# Snapshot of the open PRs and their checks, so visitors need no token of their own
+echo "Fetching PR status snapshot..."
+if [ -z "$GITHUB_TOKEN" ] && [ -r "$GITHUB_TOKEN_FILE" ]; then
+    GITHUB_TOKEN=$(<"$GITHUB_TOKEN_FILE")
+fi
+if ! GITHUB_TOKEN="$GITHUB_TOKEN" node "$SCRIPT_DIR/fetch_pr_status.js" "$WEB_ROOT"; then
+    echo "  ✗ PR snapshot failed, the dashboard keeps showing the previous one"
+fi
 
 # Fetch Jenkins badge images
 echo "Fetching Jenkins badge images..."
 
-# Define badge URLs and output filenames
-declare -A BADGES=(
-    ["gnu_main"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FGNU_main&build=last&subject=GCC%20(main)"
-    ["intel_main"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FIntel_main&build=last&subject=IntelLLVM%20(main)"
-    ["nvidia_main"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FNVIDIA_main&build=last&subject=NVIDIA%20(main)"
-    ["gnu_devel"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FGNU_devel&build=last&subject=GCC%20(devel)"
-    ["intel_devel"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FIntel_devel&build=last&subject=IntelLLVM%20(devel)"
-    ["nvidia_devel"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FNVIDIA_devel&build=last&subject=NVIDIA%20(devel)"
-    ["nightly_benchmarks"]="https://jenkins.princeton.edu/buildStatus/icon?job=SpecFEM_KOKKOS%2FNightly_Benchmarks&build=last&subject=Nightly%20Benchmarks"
-)
+# Badge names and URLs of the Jenkins jobs in dashboard.config.json
+declare -A BADGES=()
+while IFS=$'\t' read -r badge_name badge_url; do
+    [ -n "$badge_name" ] && BADGES["$badge_name"]="$badge_url"
+done < <(read_config jenkins-badges)
 
 # Download each badge with curl
 badge_count=0
@@ -111,6 +132,13 @@ done
 
 echo "Badge sync complete: $badge_count badges downloaded"
 
+# Recent builds of the same jobs (result, duration, test counts) for the history strips;
+# set JENKINS_FIXTURE_DIR to read saved API responses instead of Jenkins
+echo "Fetching Jenkins build history..."
+if ! node "$SCRIPT_DIR/fetch_jenkins_history.js" "$WEB_ROOT"; then
+    echo "  ✗ Jenkins history failed, the dashboard keeps showing the previous one"
+fi
+
 # Create timestamp file for badge sync tracking
 TIMESTAMP_FILE="$BADGES_DIR/last_sync.json"
 cat > "$TIMESTAMP_FILE" << EOF
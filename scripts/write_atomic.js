@@ -0,0 +1,34 @@
+/**
+ * Atomic File Writes for the Sync Scripts
+ *
+ * The dashboard may fetch a file while a cron job rewrites it, so the
+ * scripts that write into the web root (index_benchmarks.js,
+ * check_regressions.js, fetch_pr_status.js, fetch_jenkins_history.js) write
+ * to a temporary file next to the target and rename it into place: readers
+ * see either the previous or the new contents, never half of a file.
+ */
+
+const fs = require('fs');
+
+/**
+ * Write a file atomically
+ * @param {string} file - Target path
+ * @param {string} content - File contents
+ */
+function writeFileAtomic(file, content) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} file - Target path
+ * @param {*} data - Value to serialize
+ * @param {number} [indent] - Indentation, compact when omitted
+ */
+function writeJSON(file, data, indent) {
+    writeFileAtomic(file, JSON.stringify(data, null, indent));
+}
+
+module.exports = { writeFileAtomic, writeJSON };